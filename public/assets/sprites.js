@@ -1,100 +1,269 @@
-// Sprite loading and animation system
+// Sprite loading and animation system. What gets loaded and how each sheet animates
+// comes from sprites.json; see shared/spriteManifest.js for its format.
+
+import { validateSpriteManifest } from '../shared/spriteManifest.js';
+import { APPEARANCE_LAYERS, getAppearanceKey } from '../shared/appearance.js';
+
+const MANIFEST_PATH = 'assets/sprites.json';
+// How far (RGB distance) a pixel may be from a palette's source color and still be
+// recolored with it, so shading drawn around the source color follows the swap
+const RECOLOR_TOLERANCE = 96;
+
+function parseHexColor(color) {
+  const value = parseInt(color.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// A canvas copy of `image` with its palette colors swapped for the picked ones, or the
+// image itself when nothing changes. `palette` is slot -> source color, `colors` slot
+// -> picked color. Pixels keep their shade: each channel scales by picked / source.
+function recolorImage(image, palette, colors) {
+  const swaps = Object.entries(palette)
+    .filter(([slot, source]) => colors[slot] && colors[slot] !== source)
+    .map(([slot, source]) => ({ from: parseHexColor(source), to: parseHexColor(colors[slot]) }));
+  if (swaps.length === 0) {
+    return image;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const data = pixels.data;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) {
+      continue;
+    }
+    let nearest = null;
+    let nearestDistance = RECOLOR_TOLERANCE;
+    swaps.forEach((swap) => {
+      const distance = Math.hypot(data[i] - swap.from[0], data[i + 1] - swap.from[1], data[i + 2] - swap.from[2]);
+      if (distance <= nearestDistance) {
+        nearest = swap;
+        nearestDistance = distance;
+      }
+    });
+    if (nearest) {
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = Math.min(255, Math.round(nearest.to[c] * data[i + c] / Math.max(nearest.from[c], 1)));
+      }
+    }
+  }
+  ctx.putImageData(pixels, 0, 0);
+  return canvas;
+}
+
+let manifestPromise = null;
+
+// The manifest with its invalid entries left out (and logged), fetched once per page
+export function loadSpriteManifest() {
+  manifestPromise ??= fetch(MANIFEST_PATH)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.json();
+    })
+    .catch((error) => {
+      console.error(`Sprite manifest failed to load from ${MANIFEST_PATH}:`, error.message);
+      return null;
+    })
+    .then((raw) => {
+      const { manifest, problems } = validateSpriteManifest(raw);
+      problems.forEach(({ field, reason }) => console.error(`Sprite manifest: ${field} ${reason}`));
+      return manifest;
+    });
+  return manifestPromise;
+}
 
 export class SpriteManager {
   constructor() {
-    this.sprites = new Map();
+    this.sprites = new Map(); // Plain images by name
+    this.images = new Map(); // path -> Promise of the image, so sheets can share one
+    // id -> { name, animations: Map of animation name -> { image, frames, frameWidth, ... } }
+    this.sheets = { characters: new Map(), followers: new Map(), bodies: new Map() };
+    this.layerImages = new Map(); // path -> loaded image of an appearance part
+    this.appearance = { palettes: {}, bodies: {}, parts: {} }; // The manifest's appearance section
+    this.composedSheets = new Map(); // appearance key -> Map of animation name -> composited animation
     this.loaded = false;
   }
-  
-  // Load a sprite sheet (non-blocking if sprite is optional)
-  async loadSprite(name, path, { required = false } = {}) {
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.onload = () => {
-        this.sprites.set(name, img);
-        resolve(img);
-      };
-      img.onerror = () => {
-        const message = `Sprite "${name}" failed to load from ${path}`;
-        if (required) {
-          console.error(message);
-        } else {
-          console.warn(message);
-        }
-        resolve(null);
-      };
-      img.src = path;
-    });
+
+  // Load an image once per path; resolves to null when it fails (callers fall back to shapes)
+  loadImage(path) {
+    if (!this.images.has(path)) {
+      this.images.set(path, new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => {
+          console.warn(`Sprite failed to load from ${path}`);
+          resolve(null);
+        };
+        img.src = path;
+      }));
+    }
+    return this.images.get(path);
+  }
+
+  async loadSprite(name, path) {
+    const img = await this.loadImage(path);
+    if (img) {
+      this.sprites.set(name, img);
+    }
+    return img;
+  }
+
+  // Load every animation of a character or follower sheet. An image smaller than its
+  // frames claims only keeps the frames that fit.
+  async loadSheet(group, id, sheet) {
+    const animations = new Map();
+    await Promise.all(Object.entries(sheet.animations).map(async ([name, animation]) => {
+      const image = await this.loadImage(animation.src);
+      if (!image) {
+        return;
+      }
+      const frames = image.height >= sheet.frameHeight
+        ? Math.min(animation.frames, Math.floor(image.width / sheet.frameWidth))
+        : 0;
+      if (frames < animation.frames) {
+        console.error(
+          `Sprite manifest: ${group}.${id}.animations.${name} is ${image.width}x${image.height}, `
+          + `too small for ${animation.frames} frame(s) of ${sheet.frameWidth}x${sheet.frameHeight}`,
+        );
+      }
+      if (frames > 0) {
+        animations.set(name, {
+          ...animation,
+          frames,
+          image,
+          frameWidth: sheet.frameWidth,
+          frameHeight: sheet.frameHeight,
+        });
+      }
+    }));
+    this.sheets[group].set(id, { name: sheet.name || id, animations });
+  }
+
+  async loadLayerImage(path) {
+    const image = await this.loadImage(path);
+    if (image) {
+      this.layerImages.set(path, image);
+    }
   }
-  
-  // Load all sprites (characters + tiles)
+
+  // Load everything the manifest lists
   async loadAll() {
+    const manifest = await loadSpriteManifest();
+    this.appearance = manifest.appearance;
+    const partPaths = new Set();
+    Object.values(manifest.appearance.parts).forEach((parts) => Object.values(parts).forEach((part) => {
+      Object.values(part.bodies).forEach((sheet) => Object.values(sheet.animations).forEach((path) => partPaths.add(path)));
+    }));
     const loads = [
-      // Character sprites (optional, fallback shapes will be used if missing)
-      this.loadSprite('character1_idle', 'assets/character1_idle.png'),
-      this.loadSprite('character1_walk', 'assets/character1_walk.png'),
-      this.loadSprite('character1_hug', 'assets/character1_hug.png'),
-      this.loadSprite('character1_sit', 'assets/character1_sit.png'),
-      this.loadSprite('character2_idle', 'assets/character2_idle.png'),
-      this.loadSprite('character2_walk', 'assets/character2_walk.png'),
-      this.loadSprite('character2_hug', 'assets/character2_hug.png'),
-      this.loadSprite('character2_sit', 'assets/character2_sit.png'),
-      this.loadSprite('map_background', 'assets/map.png'),
-      this.loadSprite('follower_buggy_idle', 'assets/Buggy_idle.png'),
-      this.loadSprite('follower_buggy_walk', 'assets/Buggy_walk.png'),
-      this.loadSprite('follower_buggy', 'assets/Buggy.png'),
-      this.loadSprite('pillar', 'assets/pillar.png'),
-      this.loadSprite('bench', 'assets/bench.png'),
+      ...Object.entries(manifest.images).map(([name, path]) => this.loadSprite(name, path)),
+      ...Object.entries(manifest.characters).map(([id, sheet]) => this.loadSheet('characters', id, sheet)),
+      ...Object.entries(manifest.followers).map(([id, sheet]) => this.loadSheet('followers', id, sheet)),
+      ...Object.entries(manifest.appearance.bodies).map(([id, sheet]) => this.loadSheet('bodies', id, sheet)),
+      ...Array.from(partPaths, (path) => this.loadLayerImage(path)),
     ];
-    
+
     await Promise.all(loads);
     this.loaded = true;
     console.log('All sprites loaded');
   }
-  
+
   // Get sprite by name
   getSprite(name) {
     return this.sprites.get(name);
   }
-  
-  // Get sprite name for character and animation
-  getSpriteName(character, animation) {
-    return `character${character}_${animation}`;
+
+  // An animation of a sheet, or its idle animation when that one didn't load; null when neither did
+  getAnimation(group, id, animation) {
+    const sheet = this.sheets[group].get(id);
+    if (!sheet) {
+      return null;
+    }
+    return sheet.animations.get(animation) || sheet.animations.get(ANIMATION_CONFIG.IDLE) || null;
   }
 
-  getFollowerSpriteName(spriteKey, animation) {
-    if (animation) {
-      const key = `follower_${spriteKey}_${animation}`;
-      if (this.sprites.has(key)) {
-        return key;
-      }
+  getCharacterAnimation(character, animation) {
+    return this.getAnimation('characters', character, animation);
+  }
+
+  getFollowerAnimation(spriteKey, animation) {
+    return this.getAnimation('followers', spriteKey, animation);
+  }
+
+  // Whether a character has its own sheet for an animation (seat poses are animation names)
+  hasCharacterAnimation(character, animation) {
+    return Boolean(this.sheets.characters.get(character)?.animations.has(animation));
+  }
+
+  getCharacterName(character) {
+    return this.sheets.characters.get(character)?.name || character;
+  }
+
+  // The manifest's bodies, parts and palettes, for the character creator
+  getAppearanceDefinitions() {
+    return this.appearance;
+  }
+
+  // Animations of an appearance: every animation of its body with the picked parts drawn
+  // over it and the picked colors swapped in, one canvas per animation. Each appearance is
+  // composited once and cached; null when its body didn't load.
+  composeAppearance(appearance) {
+    const key = getAppearanceKey(appearance);
+    if (this.composedSheets.has(key)) {
+      return this.composedSheets.get(key);
+    }
+    const body = this.sheets.bodies.get(appearance.body);
+    if (!this.loaded || !body || body.animations.size === 0) {
+      return null;
     }
-    const fallback = `follower_${spriteKey}`;
-    return this.sprites.has(fallback) ? fallback : null;
+
+    const colors = appearance.colors || {};
+    const palette = this.appearance.bodies[appearance.body].palette;
+    const parts = APPEARANCE_LAYERS
+      .map(({ id }) => this.appearance.parts[id]?.[appearance[id]]?.bodies[appearance.body])
+      .filter(Boolean);
+    const animations = new Map();
+    body.animations.forEach((animation, name) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = animation.frames * animation.frameWidth;
+      canvas.height = animation.frameHeight;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(recolorImage(animation.image, palette, colors), 0, 0);
+      parts.forEach((part) => {
+        const image = this.layerImages.get(part.animations[name]);
+        if (image) {
+          ctx.drawImage(recolorImage(image, part.palette, colors), 0, 0);
+        }
+      });
+      animations.set(name, { ...animation, image: canvas });
+    });
+    this.composedSheets.set(key, animations);
+    return animations;
+  }
+
+  // Like getAnimation, for the composited sheet of an appearance
+  getAppearanceAnimation(appearance, animation) {
+    const animations = this.composeAppearance(appearance);
+    if (!animations) {
+      return null;
+    }
+    return animations.get(animation) || animations.get(ANIMATION_CONFIG.IDLE) || null;
+  }
+
+  hasAppearanceAnimation(appearance, animation) {
+    return Boolean(this.composeAppearance(appearance)?.has(animation));
   }
 }
 
-// Animation configuration
+// Animation names the renderer picks between; frames and timing live in sprites.json
 export const ANIMATION_CONFIG = {
   IDLE: 'idle',
   WALK: 'walk',
   HUG: 'hug',
   SIT: 'sit',
-  
-  // Animation frame counts (assuming sprite sheets)
-  FRAMES: {
-    idle: 2, // Single frame or sprite sheet with frames
-    walk: 2, // 4 frames for walk animation
-    hug: 2, // Hug animation frames
-    sit: 1, // Sit animation frames (fallback to idle if not available)
-  },
-  
-  // Animation speeds (frames per second)
-  SPEED: {
-    idle: 2,
-    walk: 4,
-    hug: 3, // Hug animation speed
-    sit: 2, // Sit animation speed
-  },
 };
-
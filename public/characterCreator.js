@@ -0,0 +1,185 @@
+// Character creator: pick a body, a part for every layer and a color per palette,
+// with a live preview. Only a saved look is sent; the server checks it against the
+// sprite manifest and everyone's sprite changes through `appearance_changed`.
+
+import {
+  APPEARANCE_LAYERS,
+  getFittingParts,
+  getAppearancePalettes,
+  getDefaultAppearance,
+  normalizeAppearance,
+} from './shared/appearance.js';
+import { ANIMATION_CONFIG } from './assets/sprites.js';
+
+const NO_PART = '';
+const PREVIEW_SCALE = 3;
+
+export class CharacterCreator {
+  constructor({ world, spriteManager, networkManager }) {
+    this.world = world;
+    this.spriteManager = spriteManager;
+    this.networkManager = networkManager;
+    this.playerId = null;
+    this.draft = null; // Appearance being put together; null while closed
+    this.previewFrame = null; // requestAnimationFrame id of the preview loop
+
+    this.toggleButton = document.getElementById('creatorToggle');
+    this.element = document.getElementById('characterCreator');
+    this.preview = document.getElementById('creatorPreview');
+    this.options = document.getElementById('creatorOptions');
+    this.previewCtx = this.preview.getContext('2d');
+    this.previewCtx.imageSmoothingEnabled = false;
+
+    this.toggleButton.addEventListener('click', () => (this.draft ? this.close() : this.open()));
+    document.getElementById('creatorSave').addEventListener('click', () => this.save());
+    document.getElementById('creatorClose').addEventListener('click', () => this.close());
+  }
+
+  setPlayerId(playerId) {
+    this.playerId = playerId;
+    // Nothing to offer when the manifest has no bodies
+    const bodies = Object.keys(this.spriteManager.getAppearanceDefinitions().bodies);
+    this.toggleButton.classList.toggle('hidden', !playerId || bodies.length === 0);
+    if (!playerId) {
+      this.close();
+    }
+  }
+
+  // Start from the player's current look, or the default look of their character
+  open() {
+    const player = this.world.getPlayer(this.playerId);
+    const definitions = this.spriteManager.getAppearanceDefinitions();
+    this.draft = normalizeAppearance(player?.appearance, definitions, player?.character);
+    if (!this.draft) {
+      return;
+    }
+    this.element.classList.remove('hidden');
+    this.toggleButton.classList.add('active');
+    this.buildOptions();
+    this.drawPreview();
+  }
+
+  close() {
+    this.draft = null;
+    this.element.classList.add('hidden');
+    this.toggleButton.classList.remove('active');
+    cancelAnimationFrame(this.previewFrame);
+    this.previewFrame = null;
+  }
+
+  save() {
+    if (this.draft) {
+      this.networkManager.sendSetAppearance(this.draft);
+    }
+    this.close();
+  }
+
+  // Swap the body; parts follow it and picked colors stay where the new body has the palette
+  setBody(body) {
+    const definitions = this.spriteManager.getAppearanceDefinitions();
+    const colors = this.draft.colors;
+    this.draft = getDefaultAppearance(definitions, body);
+    this.setColors(colors);
+  }
+
+  setPart(layer, partId) {
+    this.draft[layer] = partId === NO_PART ? null : partId;
+    this.setColors(this.draft.colors);
+  }
+
+  // Keep only the colors of palettes the draft can still recolor
+  setColors(colors) {
+    const palettes = getAppearancePalettes(this.spriteManager.getAppearanceDefinitions(), this.draft);
+    this.draft.colors = Object.fromEntries(Object.entries(colors).filter(([slot]) => palettes.includes(slot)));
+  }
+
+  addSelect(name, options, value, onChange) {
+    const label = document.createElement('label');
+    label.textContent = name;
+    const select = document.createElement('select');
+    select.replaceChildren(...options.map(([optionValue, optionName]) => new Option(optionName, optionValue)));
+    select.value = value;
+    select.addEventListener('change', () => {
+      onChange(select.value);
+      // Hand the keyboard back to the game; arrow keys would otherwise change the menu
+      select.blur();
+      this.buildOptions();
+    });
+    label.append(select);
+    this.options.append(label);
+  }
+
+  addSwatches(slot, palette) {
+    const row = document.createElement('div');
+    row.className = 'creator-swatches';
+    row.append(palette.name);
+    const picked = this.draft.colors[slot] || null;
+    [null, ...palette.colors].forEach((color) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'creator-swatch';
+      button.classList.toggle('active', color === picked);
+      if (color) {
+        button.style.background = color;
+        button.title = color;
+      } else {
+        button.textContent = 'Orijinal';
+      }
+      button.addEventListener('click', () => {
+        if (color) {
+          this.draft.colors[slot] = color;
+        } else {
+          delete this.draft.colors[slot];
+        }
+        this.buildOptions();
+      });
+      row.append(button);
+    });
+    this.options.append(row);
+  }
+
+  // Menus for what fits the draft's body, rebuilt whenever the draft changes
+  buildOptions() {
+    const definitions = this.spriteManager.getAppearanceDefinitions();
+    this.options.replaceChildren();
+    this.addSelect(
+      'Beden',
+      Object.entries(definitions.bodies).map(([id, body]) => [id, body.name || id]),
+      this.draft.body,
+      (body) => this.setBody(body),
+    );
+    APPEARANCE_LAYERS.forEach(({ id, name, optional }) => {
+      const parts = getFittingParts(definitions, id, this.draft.body).map(([partId, part]) => [partId, part.name]);
+      if (parts.length === 0) {
+        return;
+      }
+      this.addSelect(
+        name,
+        optional ? [[NO_PART, 'Yok'], ...parts] : parts,
+        this.draft[id] ?? NO_PART,
+        (partId) => this.setPart(id, partId),
+      );
+    });
+    getAppearancePalettes(definitions, this.draft).forEach((slot) => {
+      this.addSwatches(slot, definitions.palettes[slot]);
+    });
+  }
+
+  // Idle animation of the draft, redrawn every frame while the creator is open
+  drawPreview() {
+    const ctx = this.previewCtx;
+    ctx.clearRect(0, 0, this.preview.width, this.preview.height);
+    const definition = this.spriteManager.getAppearanceAnimation(this.draft, ANIMATION_CONFIG.IDLE);
+    if (definition) {
+      const frame = Math.floor(Date.now() / definition.frameDuration) % definition.frames;
+      const width = definition.frameWidth * PREVIEW_SCALE;
+      const height = definition.frameHeight * PREVIEW_SCALE;
+      ctx.drawImage(
+        definition.image,
+        frame * definition.frameWidth, 0, definition.frameWidth, definition.frameHeight,
+        (this.preview.width - width) / 2, this.preview.height - height, width, height,
+      );
+    }
+    this.previewFrame = requestAnimationFrame(() => this.drawPreview());
+  }
+}
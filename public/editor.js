@@ -0,0 +1,417 @@
+// In-browser world editor: toolbar, collider overlay, ghost preview and edit requests.
+// The server checks roles and placements again; this only keeps the UI honest.
+
+import { ERROR_CODES } from './shared/protocol.js';
+import {
+  COLLIDER_TILE_SIZE,
+  MAP_COLS,
+  MAP_ROWS,
+  OBJECT_WIDTH_PX,
+  OBJECT_HEIGHT_PX,
+  MAX_COLLIDER_BATCH,
+} from './worldMap.js';
+import { getRectTiles, getLineTiles, floodFillTiles } from './tileShapes.js';
+import { FURNITURE_TYPES } from './shared/furniture.js';
+
+export const EDITOR_TOOLS = {
+  COLLIDER: 'collider', // Paints collider tiles in one of COLLIDER_SHAPES
+  OBJECT: 'object', // Left click places a display object, right click removes one
+  FURNITURE: 'furniture', // Left click places the furniture type picked in the toolbar, right click removes
+};
+
+// How the collider tool turns a drag into tiles; left button paints, right button erases
+export const COLLIDER_SHAPES = {
+  BRUSH: 'brush', // Every tile the cursor passes over
+  RECT: 'rect', // Filled rectangle between drag start and end
+  LINE: 'line', // Straight line between drag start and end
+  FILL: 'fill', // Connected region of tiles like the clicked one
+};
+
+const MOUSE_LEFT = 0;
+const MOUSE_RIGHT = 2;
+
+const STATUS_DURATION_MS = 3000;
+
+// Server errors that are about an edit and belong in the editor status line
+const EDIT_ERROR_CODES = [ERROR_CODES.FORBIDDEN, ERROR_CODES.INVALID_EDIT];
+
+export class WorldEditor {
+  constructor({ canvas, renderer, world, networkManager }) {
+    this.canvas = canvas;
+    this.renderer = renderer;
+    this.world = world;
+    this.networkManager = networkManager;
+
+    this.allowed = false; // Whether the player's role may edit this world
+    this.enabled = false;
+    this.tool = EDITOR_TOOLS.COLLIDER;
+    this.shape = COLLIDER_SHAPES.BRUSH;
+    this.furnitureType = Object.keys(FURNITURE_TYPES)[0];
+    this.hover = null; // Cursor position in world space
+    this.stroke = null; // Collider drag in progress: { removing, start, last, tiles }
+    this.statusTimeout = null;
+
+    this.toggleButton = document.getElementById('editorToggle');
+    this.toolbar = document.getElementById('editorToolbar');
+    this.toolButtons = Array.from(this.toolbar.querySelectorAll('[data-tool]'));
+    this.shapeButtons = Array.from(this.toolbar.querySelectorAll('[data-shape]'));
+    this.historyButtons = Array.from(this.toolbar.querySelectorAll('[data-history]'));
+    this.shapeGroup = document.getElementById('editorShapes');
+    this.furnitureSelect = document.getElementById('editorFurniture');
+    this.furnitureSelect.replaceChildren(...Object.entries(FURNITURE_TYPES).map(([key, type]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = type.name;
+      return option;
+    }));
+    this.statusElement = document.getElementById('editorStatus');
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleContextMenu = this.handleContextMenu.bind(this);
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleMouseLeave = this.handleMouseLeave.bind(this);
+    this.handleToggleClick = this.handleToggleClick.bind(this);
+    this.handleToolClick = this.handleToolClick.bind(this);
+    this.handleShapeClick = this.handleShapeClick.bind(this);
+    this.handleHistoryClick = this.handleHistoryClick.bind(this);
+    this.handleFurnitureChange = this.handleFurnitureChange.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  attach() {
+    this.canvas.addEventListener('click', this.handleClick);
+    this.canvas.addEventListener('contextmenu', this.handleContextMenu);
+    this.canvas.addEventListener('mousedown', this.handleMouseDown);
+    this.canvas.addEventListener('mousemove', this.handleMouseMove);
+    this.canvas.addEventListener('mouseleave', this.handleMouseLeave);
+    // Released outside the canvas still ends the drag
+    window.addEventListener('mouseup', this.handleMouseUp);
+    this.toggleButton.addEventListener('click', this.handleToggleClick);
+    this.toolButtons.forEach((button) => button.addEventListener('click', this.handleToolClick));
+    this.shapeButtons.forEach((button) => button.addEventListener('click', this.handleShapeClick));
+    this.historyButtons.forEach((button) => button.addEventListener('click', this.handleHistoryClick));
+    this.furnitureSelect.addEventListener('change', this.handleFurnitureChange);
+    window.addEventListener('keydown', this.handleKeyDown);
+    this.renderer.setEditor(this);
+    this.updateToolbar();
+  }
+
+  detach() {
+    this.canvas.removeEventListener('click', this.handleClick);
+    this.canvas.removeEventListener('contextmenu', this.handleContextMenu);
+    this.canvas.removeEventListener('mousedown', this.handleMouseDown);
+    this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+    this.canvas.removeEventListener('mouseleave', this.handleMouseLeave);
+    window.removeEventListener('mouseup', this.handleMouseUp);
+    this.toggleButton.removeEventListener('click', this.handleToggleClick);
+    this.toolButtons.forEach((button) => button.removeEventListener('click', this.handleToolClick));
+    this.shapeButtons.forEach((button) => button.removeEventListener('click', this.handleShapeClick));
+    this.historyButtons.forEach((button) => button.removeEventListener('click', this.handleHistoryClick));
+    this.furnitureSelect.removeEventListener('change', this.handleFurnitureChange);
+    window.removeEventListener('keydown', this.handleKeyDown);
+    this.renderer.setEditor(null);
+    this.setAllowed(false);
+  }
+
+  setAllowed(allowed) {
+    this.allowed = allowed;
+    if (!allowed) {
+      this.enabled = false;
+    }
+    this.updateToolbar();
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled && this.allowed;
+    this.hover = null;
+    this.stroke = null;
+    this.updateToolbar();
+  }
+
+  setTool(tool) {
+    if (!Object.values(EDITOR_TOOLS).includes(tool)) return;
+    this.tool = tool;
+    this.stroke = null;
+    this.updateToolbar();
+  }
+
+  setShape(shape) {
+    if (!Object.values(COLLIDER_SHAPES).includes(shape)) return;
+    this.shape = shape;
+    this.stroke = null;
+    this.updateToolbar();
+  }
+
+  // Cycles through the tools in EDITOR_TOOLS order
+  toggleTool() {
+    if (!this.enabled) return;
+    const tools = Object.values(EDITOR_TOOLS);
+    this.setTool(tools[(tools.indexOf(this.tool) + 1) % tools.length]);
+  }
+
+  // The server keeps the history; each player undoes only their own edits
+  undo() {
+    if (!this.enabled) return;
+    this.stroke = null;
+    this.networkManager.sendUndo();
+  }
+
+  redo() {
+    if (!this.enabled) return;
+    this.stroke = null;
+    this.networkManager.sendRedo();
+  }
+
+  updateToolbar() {
+    this.toggleButton.classList.toggle('hidden', !this.allowed);
+    this.toggleButton.classList.toggle('active', this.enabled);
+    this.toolbar.classList.toggle('hidden', !this.enabled);
+    this.toolButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.tool === this.tool);
+    });
+    this.shapeGroup.classList.toggle('hidden', this.tool !== EDITOR_TOOLS.COLLIDER);
+    this.shapeButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.shape === this.shape);
+    });
+    this.furnitureSelect.classList.toggle('hidden', this.tool !== EDITOR_TOOLS.FURNITURE);
+    this.furnitureSelect.value = this.furnitureType;
+  }
+
+  showStatus(message, isError = false) {
+    this.statusElement.textContent = message;
+    this.statusElement.classList.toggle('error', isError);
+    this.statusElement.classList.remove('hidden');
+    clearTimeout(this.statusTimeout);
+    this.statusTimeout = setTimeout(() => {
+      this.statusElement.classList.add('hidden');
+    }, STATUS_DURATION_MS);
+  }
+
+  // Show edit rejections in the toolbar; returns true when the error was handled here
+  handleServerError(error, code) {
+    if (!EDIT_ERROR_CODES.includes(code)) {
+      return false;
+    }
+    this.showStatus(error, true);
+    return true;
+  }
+
+  handleToggleClick() {
+    this.setEnabled(!this.enabled);
+  }
+
+  handleHistoryClick(event) {
+    if (event.currentTarget.dataset.history === 'redo') {
+      this.redo();
+    } else {
+      this.undo();
+    }
+  }
+
+  // Ctrl+Z undoes; Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on macOS)
+  handleKeyDown(event) {
+    if (!this.enabled || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      this.undo();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      this.redo();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  handleToolClick(event) {
+    this.setTool(event.currentTarget.dataset.tool);
+  }
+
+  handleShapeClick(event) {
+    this.setShape(event.currentTarget.dataset.shape);
+  }
+
+  handleFurnitureChange() {
+    if (Object.hasOwn(FURNITURE_TYPES, this.furnitureSelect.value)) {
+      this.furnitureType = this.furnitureSelect.value;
+    }
+  }
+
+  // What a click with the object or furniture tool would place at (x, y)
+  getPlacement(x, y) {
+    if (this.tool === EDITOR_TOOLS.FURNITURE) {
+      const type = FURNITURE_TYPES[this.furnitureType];
+      return { x, y, width: type.width, height: type.height, furniture: this.furnitureType };
+    }
+    return { x, y, width: OBJECT_WIDTH_PX, height: OBJECT_HEIGHT_PX };
+  }
+
+  getTileAtEvent(event) {
+    const coords = this.renderer.screenToWorld(event.clientX, event.clientY);
+    return coords ? this.getTileAt(coords.x, coords.y) : null;
+  }
+
+  handleMouseDown(event) {
+    if (!this.enabled || this.tool !== EDITOR_TOOLS.COLLIDER) return;
+    if (event.button !== MOUSE_LEFT && event.button !== MOUSE_RIGHT) return;
+    const tile = this.getTileAtEvent(event);
+    if (!tile) return;
+    const removing = event.button === MOUSE_RIGHT;
+
+    if (this.shape === COLLIDER_SHAPES.FILL) {
+      const tiles = floodFillTiles(tile, (col, row) => this.world.hasCollider(col, row), MAX_COLLIDER_BATCH);
+      if (!tiles) {
+        this.showStatus(`Alan çok büyük (en fazla ${MAX_COLLIDER_BATCH} kare)`, true);
+        return;
+      }
+      this.sendColliderBatch(tiles, removing);
+      return;
+    }
+
+    this.stroke = {
+      removing,
+      start: tile,
+      last: tile,
+      tiles: new Map([[`${tile.col},${tile.row}`, tile]]),
+    };
+  }
+
+  handleMouseMove(event) {
+    if (!this.enabled) return;
+    this.hover = this.renderer.screenToWorld(event.clientX, event.clientY);
+    if (!this.stroke) return;
+
+    const tile = this.getTileAtEvent(event);
+    if (!tile) return;
+    if (this.shape === COLLIDER_SHAPES.BRUSH) {
+      // Fill in the tiles between mouse events so fast strokes have no gaps
+      getLineTiles(this.stroke.last, tile).forEach((entry) => {
+        this.stroke.tiles.set(`${entry.col},${entry.row}`, entry);
+      });
+    }
+    this.stroke.last = tile;
+  }
+
+  handleMouseUp() {
+    if (!this.stroke) return;
+    const { removing } = this.stroke;
+    const tiles = this.getStrokeTiles();
+    this.stroke = null;
+    this.sendColliderBatch(tiles, removing);
+  }
+
+  // Tiles the current drag would change, in the shape picked in the toolbar
+  getStrokeTiles() {
+    const { start, last, tiles, removing } = this.stroke;
+    let shapeTiles;
+    if (this.shape === COLLIDER_SHAPES.RECT) {
+      shapeTiles = getRectTiles(start, last);
+    } else if (this.shape === COLLIDER_SHAPES.LINE) {
+      shapeTiles = getLineTiles(start, last);
+    } else {
+      shapeTiles = Array.from(tiles.values());
+    }
+    // Only send tiles that would change
+    return shapeTiles.filter(({ col, row }) => this.world.hasCollider(col, row) === removing);
+  }
+
+  sendColliderBatch(tiles, removing) {
+    if (tiles.length === 0) {
+      return;
+    }
+    if (tiles.length > MAX_COLLIDER_BATCH) {
+      this.showStatus(`Alan çok büyük (en fazla ${MAX_COLLIDER_BATCH} kare)`, true);
+      return;
+    }
+    if (removing) {
+      this.networkManager.sendRemoveColliders(tiles);
+    } else {
+      this.networkManager.sendPlaceColliders(tiles);
+    }
+  }
+
+  handleMouseLeave() {
+    this.hover = null;
+  }
+
+  getTileAt(x, y) {
+    const col = Math.floor(x / COLLIDER_TILE_SIZE);
+    const row = Math.floor(y / COLLIDER_TILE_SIZE);
+    if (col < 0 || col >= MAP_COLS || row < 0 || row >= MAP_ROWS) {
+      return null;
+    }
+    return { col, row };
+  }
+
+  // Bounds the server accepts objects in (the background image may extend past them)
+  isInsideMap(x, y) {
+    return x >= 0 && x <= MAP_COLS * COLLIDER_TILE_SIZE && y >= 0 && y <= MAP_ROWS * COLLIDER_TILE_SIZE;
+  }
+
+  // What to draw under the cursor, or null; read by the renderer every frame
+  getGhost() {
+    if (!this.enabled || !this.hover) {
+      return null;
+    }
+    const { x, y } = this.hover;
+
+    if (this.tool === EDITOR_TOOLS.COLLIDER) {
+      if (this.stroke) {
+        return {
+          tool: EDITOR_TOOLS.COLLIDER,
+          tiles: this.getStrokeTiles(),
+          removing: this.stroke.removing,
+        };
+      }
+      const tile = this.getTileAt(x, y);
+      if (!tile) return null;
+      return {
+        tool: EDITOR_TOOLS.COLLIDER,
+        tiles: [tile],
+        removing: this.world.hasCollider(tile.col, tile.row),
+      };
+    }
+
+    const placement = this.getPlacement(x, y);
+    return {
+      tool: this.tool,
+      ...placement,
+      valid: this.isInsideMap(x, y) && !this.world.overlapsObject(placement),
+    };
+  }
+
+  // Object and furniture placement; collider edits are sent from mousedown/mouseup as batches
+  handleClick(event) {
+    if (!this.enabled || this.tool === EDITOR_TOOLS.COLLIDER) return;
+    const coords = this.renderer.screenToWorld(event.clientX, event.clientY);
+    if (!coords) return;
+    const { x, y } = coords;
+
+    if (!this.isInsideMap(x, y)) {
+      return;
+    }
+    const placement = this.getPlacement(x, y);
+    if (this.world.overlapsObject(placement)) {
+      this.showStatus('Burada zaten bir obje var', true);
+      return;
+    }
+    this.networkManager.sendPlaceObject(x, y, placement.furniture);
+  }
+
+  handleContextMenu(event) {
+    // Visitors keep the browser's menu; only editor mode uses the right button
+    if (!this.enabled) return;
+    event.preventDefault();
+    if (this.tool === EDITOR_TOOLS.COLLIDER) return;
+    const coords = this.renderer.screenToWorld(event.clientX, event.clientY);
+    if (!coords) return;
+
+    const object = this.world.getObjectAtPosition(coords.x, coords.y);
+    if (object) {
+      this.networkManager.sendRemoveObject(object.id);
+    }
+  }
+}
@@ -16,7 +16,7 @@ export class InputManager {
       q: false,
     };
     
-    this.inputSeq = 0;
+    this.inputSeq = 1; // The server echoes 0 until it has processed an input
     this.lastSentInput = null;
     this.inputBuffer = [];
     this.eKeyPressed = false; // Track if E was just pressed (edge trigger)
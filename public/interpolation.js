@@ -0,0 +1,112 @@
+// Snapshot-buffer interpolation for remote entities. Every state update adds a
+// time-stamped sample per player and follower; the renderer draws them as they were
+// at server time minus an interpolation delay that follows the measured jitter.
+
+import { TICK_SECONDS } from './shared/movement.js';
+
+const TICK_MS = TICK_SECONDS * 1000;
+const MIN_DELAY_MS = TICK_MS * 1.5; // Enough to always have a sample on each side
+const MAX_DELAY_MS = 300;
+const JITTER_MULTIPLIER = 2; // Delay covers this many mean deviations of arrival times
+const SMOOTHING = 0.1; // Weight of each new measurement in the running averages
+const DELAY_ADJUST_MS = 1000; // Time the delay takes to move most of the way to a new target
+const MAX_SAMPLE_AGE_MS = 1000;
+const MAX_EXTRAPOLATION_MS = 100; // Past the newest sample, keep moving this long at most
+const SNAP_DISTANCE = 64; // Samples further apart than this are a teleport, not a walk
+
+// Tracks the offset between server and local clocks and the delay remote entities are drawn at
+export class InterpolationClock {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.offset = null; // Server time minus local time
+    this.jitter = 0; // Mean deviation of arrival times, in ms
+    this.delay = MIN_DELAY_MS;
+    this.lastRenderTime = null;
+  }
+
+  // Called with the server timestamp of every state update as it arrives
+  addSample(serverTime, localTime = Date.now()) {
+    const offset = serverTime - localTime;
+    if (this.offset === null) {
+      this.offset = offset;
+      return;
+    }
+    this.jitter += (Math.abs(offset - this.offset) - this.jitter) * SMOOTHING;
+    this.offset += (offset - this.offset) * SMOOTHING;
+  }
+
+  getTargetDelay() {
+    const delay = MIN_DELAY_MS + this.jitter * JITTER_MULTIPLIER;
+    return Math.min(MAX_DELAY_MS, Math.max(MIN_DELAY_MS, delay));
+  }
+
+  // Server time to draw remote entities at. The delay eases toward its target so a
+  // jitter spike slows remote entities down briefly instead of jerking them back.
+  getRenderTime(localTime = Date.now()) {
+    if (this.offset === null) return null;
+
+    const elapsed = this.lastRenderTime === null ? 0 : Math.max(0, localTime - this.lastRenderTime);
+    this.lastRenderTime = localTime;
+    this.delay += (this.getTargetDelay() - this.delay) * Math.min(1, elapsed / DELAY_ADJUST_MS);
+    return localTime + this.offset - this.delay;
+  }
+}
+
+// Time-stamped positions of one entity, oldest first
+export class SnapshotBuffer {
+  constructor() {
+    this.samples = [];
+  }
+
+  add(time, x, y, vx = 0, vy = 0) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+    const last = this.samples[this.samples.length - 1];
+    if (last && time <= last.time) return;
+
+    this.samples.push({ time, x, y, vx: vx || 0, vy: vy || 0 });
+    while (this.samples.length > 2 && time - this.samples[0].time > MAX_SAMPLE_AGE_MS) {
+      this.samples.shift();
+    }
+  }
+
+  // { x, y, moving } at `time`, or null before the first sample
+  sample(time) {
+    const { samples } = this;
+    if (samples.length === 0) return null;
+
+    const first = samples[0];
+    if (time === null || time <= first.time) {
+      return { x: first.x, y: first.y, moving: false };
+    }
+
+    const last = samples[samples.length - 1];
+    if (time >= last.time) {
+      // Late packets: carry on with the newest velocity for a short while, then hold
+      const ahead = Math.min(time - last.time, MAX_EXTRAPOLATION_MS) / 1000;
+      return {
+        x: last.x + last.vx * ahead,
+        y: last.y + last.vy * ahead,
+        moving: (last.vx !== 0 || last.vy !== 0) && time - last.time < MAX_EXTRAPOLATION_MS,
+      };
+    }
+
+    let index = samples.length - 1;
+    while (samples[index - 1].time > time) {
+      index--;
+    }
+    const from = samples[index - 1];
+    const to = samples[index];
+    if (Math.hypot(to.x - from.x, to.y - from.y) > SNAP_DISTANCE) {
+      return { x: to.x, y: to.y, moving: false };
+    }
+    const t = (time - from.time) / (to.time - from.time);
+    return {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+      moving: to.x !== from.x || to.y !== from.y,
+    };
+  }
+}
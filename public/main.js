@@ -1,10 +1,18 @@
 // Main game loop and coordination
 
 import { InputManager } from './input.js';
-import { NetworkManager } from './net.js';
+import { NetworkManager, EDITOR_ROLES } from './net.js';
+import { ERROR_CODES } from './shared/protocol.js';
 import { World } from './world.js';
 import { Renderer } from './render.js';
-import { COLLIDER_TILE_SIZE, MAP_COLS, MAP_ROWS } from './worldMap.js';
+import { WorldEditor } from './editor.js';
+import { PetPanel } from './petPanel.js';
+import { CharacterCreator } from './characterCreator.js';
+import { Predictor } from './prediction.js';
+import { TICK_SECONDS } from './shared/movement.js';
+
+// After a stall (e.g. a background tab) only this many missed inputs are sent at once
+const MAX_INPUT_CATCH_UP = 5;
 
 class Game {
   constructor() {
@@ -15,11 +23,27 @@ class Game {
     this.networkManager = new NetworkManager();
     
     this.playerId = null;
+    this.roomId = null;
+    this.role = null; // Role in the current room, decides whether editing is offered
     this.running = false;
     this.lastInputSend = 0;
-    this.inputSendInterval = 50; // Send input every 50ms (20 times per second)
-    this.handleCanvasClick = this.handleCanvasClick.bind(this);
-    this.handleCanvasContextMenu = this.handleCanvasContextMenu.bind(this);
+    this.inputSendInterval = TICK_SECONDS * 1000; // One input per server tick (every 50ms)
+    this.predictor = new Predictor(this.world);
+    this.editor = new WorldEditor({
+      canvas: this.canvas,
+      renderer: this.renderer,
+      world: this.world,
+      networkManager: this.networkManager,
+    });
+    this.petPanel = new PetPanel({
+      world: this.world,
+      networkManager: this.networkManager,
+    });
+    this.characterCreator = new CharacterCreator({
+      world: this.world,
+      spriteManager: this.renderer.spriteManager,
+      networkManager: this.networkManager,
+    });
     
     // Image viewer elements
     this.imageViewer = document.getElementById('imageViewer');
@@ -37,21 +61,29 @@ class Game {
     this.flipbook = document.getElementById('flipbook');
     this.flipbookOpen = false;
     
-    // Object placing mode toggle
-    this.objectPlacingMode = false; // false = colliders, true = objects
-    
     this.setupNetworkHandlers();
   }
   
   setupNetworkHandlers() {
     // Handle welcome message
     this.networkManager.onWelcome = (message) => {
-      console.log('Welcome! Player ID:', message.playerId);
+      console.log('Welcome! Player ID:', message.playerId, 'Room:', message.roomId);
       this.playerId = message.playerId;
-      localStorage.setItem('playerId', this.playerId);
+      this.roomId = message.roomId || this.roomId;
+      this.role = message.role || null;
+      this.editor.setAllowed(this.canEdit());
+      // The token lets this browser rejoin without asking for the passphrase again
+      if (message.sessionToken) {
+        localStorage.setItem(SESSION_TOKEN_KEY, message.sessionToken);
+        localStorage.setItem(SESSION_NAME_KEY, message.name);
+      }
       this.renderer.setMyPlayerId(this.playerId);
+      this.predictor.reset(this.playerId);
+      this.petPanel.setPlayerId(this.playerId);
+      this.characterCreator.setPlayerId(this.playerId);
       
       // Initialize world with server state
+      this.world.clearSnapshots();
       if (message.gameState && message.gameState.players) {
         message.gameState.players.forEach(playerData => {
           this.world.updatePlayer(playerData);
@@ -59,15 +91,25 @@ class Game {
       }
       if (message.gameState && Array.isArray(message.gameState.followers)) {
         this.world.setFollowers(message.gameState.followers);
+        this.petPanel.update();
+      }
+      if (message.gameState && Array.isArray(message.gameState.npcs)) {
+        this.world.setNpcs(message.gameState.npcs);
       }
       if (message.gameState && Array.isArray(message.gameState.colliders)) {
         this.world.setColliders(message.gameState.colliders);
       }
+      // Objects and colliders only arrive here and through their own events
+      if (message.gameState && Array.isArray(message.gameState.objects)) {
+        this.world.setObjects(message.gameState.objects);
+      }
     };
     
     // Handle state updates
     this.networkManager.onStateUpdate = (message) => {
-      this.world.updateFromServer(message);
+      this.networkManager.sendStateAck(this.world.updateFromServer(message));
+      this.predictor.reconcile();
+      this.petPanel.update();
     };
     this.networkManager.onColliderPlaced = (message) => {
       if (message?.collider) {
@@ -79,6 +121,46 @@ class Game {
         this.world.removeCollider(message.collider);
       }
     };
+    this.networkManager.onCollidersPlaced = (message) => {
+      if (Array.isArray(message?.colliders)) {
+        this.world.addColliders(message.colliders);
+      }
+    };
+    this.networkManager.onCollidersRemoved = (message) => {
+      if (Array.isArray(message?.colliders)) {
+        this.world.removeColliders(message.colliders);
+      }
+    };
+    this.networkManager.onObjectPlaced = (message) => {
+      if (message?.object) {
+        this.world.addObject(message.object);
+      }
+    };
+    this.networkManager.onObjectRemoved = (message) => {
+      if (message?.objectId) {
+        this.world.removeObject(message.objectId);
+      }
+    };
+    
+    this.networkManager.onRoleChanged = (message) => {
+      if (message.playerId === this.playerId) {
+        this.role = message.role;
+        this.editor.setAllowed(this.canEdit());
+        this.editor.showStatus(`Rolün artık: ${message.role}`);
+      }
+    };
+    
+    this.networkManager.onSeatChanged = (message) => {
+      this.world.setPlayerSeat(message.playerId, message.seat);
+    };
+    
+    this.networkManager.onAppearanceChanged = (message) => {
+      this.world.setPlayerAppearance(message.playerId, message.character, message.appearance);
+    };
+    
+    this.networkManager.onNpcSaid = (message) => {
+      this.renderer.showNpcLine(message.npcId, message.line);
+    };
     
     // Handle player joined
     this.networkManager.onPlayerJoined = (message) => {
@@ -93,13 +175,39 @@ class Game {
     };
     
     // Handle errors
-    this.networkManager.onError = (error) => {
+    this.networkManager.onError = (error, code, field) => {
       console.error('Network error:', error);
+      // A message this client built didn't match the protocol; nothing the player can fix
+      if (code === ERROR_CODES.INVALID_MESSAGE) {
+        console.error('Rejected message field:', field);
+        return;
+      }
+      // Sent in the moment between connecting and the welcome; the welcome catches up
+      if (code === ERROR_CODES.NOT_JOINED) {
+        return;
+      }
+      if (code === ERROR_CODES.AUTH_FAILED) {
+        // Saved token is no longer valid, so the passphrase is needed again
+        localStorage.removeItem(SESSION_TOKEN_KEY);
+        this.networkManager.sessionToken = null;
+        if (this.onAuthFailed) {
+          this.onAuthFailed(error);
+          return;
+        }
+      }
+      if (this.editor.handleServerError(error, code)) {
+        return;
+      }
+      if (code === ERROR_CODES.SESSION_REPLACED) {
+        // Don't take the character back when this tab reconnects
+        this.networkManager.sessionToken = null;
+      }
       alert(`Error: ${error}`);
     };
   }
   
-  async start(serverUrl, playerName, playerCharacter) {
+  // Join with the saved session token, or with name and passphrase when one is given
+  async start(serverUrl, { playerName, passphrase, sessionToken }, roomId) {
     try {
       // Load sprites first
       await this.renderer.loadSprites();
@@ -107,22 +215,21 @@ class Game {
       // Connect to server
       await this.networkManager.connect(serverUrl);
       
-      // Try to restore player ID from localStorage
-      const savedPlayerId = localStorage.getItem('playerId');
-      
-      // Send join message with name and character
-      this.networkManager.sendJoin(playerName, playerCharacter, savedPlayerId);
+      this.roomId = roomId;
       
-      // Save player ID when we receive it
-      if (savedPlayerId) {
-        this.playerId = savedPlayerId;
-      }
+      // Send join message with credentials and room; the look is picked in game
+      this.networkManager.sendJoin({
+        name: playerName,
+        passphrase,
+        token: passphrase ? null : sessionToken,
+        room: roomId,
+      });
       
       // Set up renderer
       this.renderer.setWorld(this.world);
+      this.renderer.setPredictor(this.predictor);
       this.renderer.start();
-      this.canvas.addEventListener('click', this.handleCanvasClick);
-      this.canvas.addEventListener('contextmenu', this.handleCanvasContextMenu);
+      this.editor.attach();
       
       // Start game loop
       this.running = true;
@@ -147,14 +254,18 @@ class Game {
       this.toggleFlipbook();
     }
     
-    // Handle E key press for image viewer or bench interaction
+    // Handle E key press for image viewer, NPC or furniture interaction
     if (this.inputManager.wasEPressed()) {
+      const seating = this.renderer.getNearbySeating();
+      const npc = this.renderer.getNearbyNpc();
       if (this.flipbookOpen) {
         // Close flipbook instead if it's open
         this.closeFlipbook();
-      } else if (this.renderer.isNearBench()) {
-        // Interact with bench
-        this.toggleBenchSit();
+      } else if (npc && !this.world.getPlayer(this.playerId)?.sitting) {
+        this.networkManager.sendTalk(npc.id);
+      } else if (seating || this.world.getPlayer(this.playerId)?.sitting) {
+        // Sit down on or stand up from furniture
+        this.toggleSit(seating);
       } else {
         this.toggleImageViewer();
       }
@@ -168,50 +279,64 @@ class Game {
     // Update interaction hint visibility
     this.updateInteractionHint();
     
-    // Send input to server at regular intervals while any movement key is held
-    if (now - this.lastInputSend >= this.inputSendInterval) {
-      // Check if player is sitting
-      const player = this.world.getPlayer(this.playerId);
-      const isSitting = player && player.sitting;
-      
-      // Block movement if image viewer or flipbook is open, or if sitting
-      if (!this.imageViewerOpen && !this.flipbookOpen && !isSitting) {
-        // Check if any movement key is currently pressed
-        const hasMovementInput = this.inputManager.hasAnyMovementKey();
-        
-        // Send input if it changed OR if movement keys are held (for continuous movement)
-        if (this.inputManager.hasInputChanged() || hasMovementInput) {
-          const input = this.inputManager.getInput();
-          this.networkManager.sendInput(input);
-          this.inputManager.markInputSent(input);
-        }
-      } else {
-        // Viewer or flipbook is open - send stop input to prevent movement
-        const stopInput = {
-          keys: {
-            up: false,
-            down: false,
-            left: false,
-            right: false,
-            w: false,
-            a: false,
-            s: false,
-            d: false,
-            e: false,
-          },
-          seq: this.inputManager.inputSeq++,
-          timestamp: Date.now(),
-        };
-        this.networkManager.sendInput(stopInput);
-        this.inputManager.markInputSent(stopInput);
-      }
+    // Send one input per server tick while any movement key is held. The server moves
+    // the player one tick per input, so inputs missed by a slow frame are sent late
+    // rather than skipped. Nothing is sent until this connection's welcome, since the
+    // server refuses input before the join (a scrypt login takes a while).
+    if (!this.networkManager.playerId) {
       this.lastInputSend = now;
+    } else if (now - this.lastInputSend > this.inputSendInterval * MAX_INPUT_CATCH_UP) {
+      this.lastInputSend = now - this.inputSendInterval;
+    }
+    while (now - this.lastInputSend >= this.inputSendInterval) {
+      this.sendTickInput();
+      this.lastInputSend += this.inputSendInterval;
     }
     
     // Continue loop
     requestAnimationFrame(() => this.gameLoop());
   }
   
+  sendTickInput() {
+    // Check if player is sitting
+    const player = this.world.getPlayer(this.playerId);
+    const isSitting = player && player.sitting;
+    
+    // Block movement if image viewer or flipbook is open, or if sitting
+    if (!this.imageViewerOpen && !this.flipbookOpen && !isSitting) {
+      // Check if any movement key is currently pressed
+      const hasMovementInput = this.inputManager.hasAnyMovementKey();
+      
+      // Send input if it changed OR if movement keys are held (for continuous movement)
+      if (this.inputManager.hasInputChanged() || hasMovementInput) {
+        const input = this.inputManager.getInput();
+        this.networkManager.sendInput(input);
+        this.inputManager.markInputSent(input);
+        this.predictor.applyInput(input);
+      }
+    } else {
+      // Viewer or flipbook is open - send stop input to prevent movement
+      const stopInput = {
+        keys: {
+          up: false,
+          down: false,
+          left: false,
+          right: false,
+          w: false,
+          a: false,
+          s: false,
+          d: false,
+          e: false,
+        },
+        seq: this.inputManager.inputSeq++,
+        timestamp: Date.now(),
+      };
+      this.networkManager.sendInput(stopInput);
+      this.inputManager.markInputSent(stopInput);
+      this.predictor.applyInput(stopInput);
+    }
+  }
+  
   toggleImageViewer() {
     if (this.imageViewerOpen) {
       // Close viewer
@@ -282,9 +407,15 @@ class Game {
       this.seatedHint.classList.add('hidden');
     }
     
-    // Check if player is near bench
-    const isNearBench = this.renderer.isNearBench();
-    if (isNearBench) {
+    // Talking comes before sitting when an NPC is in reach
+    if (this.renderer.getNearbyNpc()) {
+      this.interactionHint.textContent = '"E"ye bas konuşmak için.';
+      this.interactionHint.classList.remove('hidden');
+      return;
+    }
+    
+    // Check if player is near something to sit on
+    if (this.renderer.getNearbySeating()) {
       this.interactionHint.textContent = '"E"ye bas oturmak için.';
       this.interactionHint.classList.remove('hidden');
       return;
@@ -358,7 +489,7 @@ class Game {
     });
   }
   
-  toggleBenchSit() {
+  toggleSit(seating) {
     if (!this.playerId || this.imageViewerOpen || this.flipbookOpen) return;
     
     const player = this.world.getPlayer(this.playerId);
@@ -367,10 +498,10 @@ class Game {
     // Toggle sitting state
     if (player.sitting) {
       // Stand up
-      this.networkManager.sendBenchStand();
+      this.networkManager.sendStand();
     } else {
       // Sit down
-      this.networkManager.sendBenchSit();
+      this.networkManager.sendSit(seating?.id);
     }
   }
   
@@ -403,8 +534,8 @@ class Game {
   
   stop() {
     this.running = false;
-    this.canvas.removeEventListener('click', this.handleCanvasClick);
-    this.canvas.removeEventListener('contextmenu', this.handleCanvasContextMenu);
+    this.editor.detach();
+    this.characterCreator.setPlayerId(null);
     this.networkManager.disconnect();
   }
   
@@ -413,133 +544,68 @@ class Game {
     this.networkManager.sendResetPosition();
   }
 
-  handleCanvasClick(event) {
-    // Placement disabled
-    return;
-    
-    if (!this.running) return;
-    const coords = this.renderer.screenToWorld(event.clientX, event.clientY);
-    if (!coords) return;
-    const { x, y } = coords;
-    
-    if (this.objectPlacingMode) {
-      // Place objects mode
-      if (x < 0 || x > this.renderer.mapWidth || y < 0 || y > this.renderer.mapHeight) {
-        return;
-      }
-
-      if (this.world.getObjectAtPosition(x, y)) {
-        return;
-      }
-
-      this.networkManager.sendPlaceObject(x, y);
-    } else {
-      // Place colliders mode
-      const col = Math.floor(x / COLLIDER_TILE_SIZE);
-      const row = Math.floor(y / COLLIDER_TILE_SIZE);
-      if (col < 0 || col >= MAP_COLS || row < 0 || row >= MAP_ROWS) {
-        return;
-      }
-
-      if (this.world.hasCollider(col, row)) {
-        return;
-      }
-
-      this.networkManager.sendPlaceCollider(col, row);
-    }
-  }
-
-  handleCanvasContextMenu(event) {
-    // Removal disabled
-    event.preventDefault();
-    return;
-    
-    if (!this.running) return;
-    const coords = this.renderer.screenToWorld(event.clientX, event.clientY);
-    if (!coords) return;
-    const { x, y } = coords;
-    
-    if (this.objectPlacingMode) {
-      // Remove objects mode
-      if (x < 0 || x > this.renderer.mapWidth || y < 0 || y > this.renderer.mapHeight) {
-        return;
-      }
-
-      const object = this.world.getObjectAtPosition(x, y);
-      if (object) {
-        this.networkManager.sendRemoveObject(object.id);
-        return;
-      }
-
-      // Fall through to collider removal if no object found
-      const col = Math.floor(x / COLLIDER_TILE_SIZE);
-      const row = Math.floor(y / COLLIDER_TILE_SIZE);
-      if (col < 0 || col >= MAP_COLS || row < 0 || row >= MAP_ROWS) {
-        return;
-      }
-
-      if (this.world.hasCollider(col, row)) {
-        this.networkManager.sendRemoveCollider(col, row);
-      }
-    } else {
-      // Remove colliders mode
-      const col = Math.floor(x / COLLIDER_TILE_SIZE);
-      const row = Math.floor(y / COLLIDER_TILE_SIZE);
-      if (col < 0 || col >= MAP_COLS || row < 0 || row >= MAP_ROWS) {
-        return;
-      }
-
-      if (!this.world.hasCollider(col, row)) {
-        return;
-      }
-
-      this.networkManager.sendRemoveCollider(col, row);
-    }
-  }
-  
-  toggleObjectPlacingMode() {
-    this.objectPlacingMode = !this.objectPlacingMode;
-    console.log('Object placing mode:', this.objectPlacingMode ? 'Objects' : 'Colliders');
+  // The server enforces roles too; this only avoids sending edits it would reject
+  canEdit() {
+    return EDITOR_ROLES.includes(this.role);
   }
 }
 
 // Initialize game when page loads
 let game = null;
 
+const DEFAULT_ROOM_ID = 'default';
+const SESSION_TOKEN_KEY = 'sessionToken';
+const SESSION_NAME_KEY = 'sessionName'; // Account the saved token belongs to
+
 window.addEventListener('DOMContentLoaded', () => {
   const joinModal = document.getElementById('joinModal');
   const gameContainer = document.getElementById('gameContainer');
   const joinButton = document.getElementById('joinButton');
   const playerNameInput = document.getElementById('playerName');
-  const playerCharacterSelect = document.getElementById('playerCharacter');
+  const passphraseInput = document.getElementById('passphrase');
   const serverUrlInput = document.getElementById('serverUrl');
+  const roomCodeInput = document.getElementById('roomCode');
+  const loginStatus = document.getElementById('loginStatus');
   const imgBackdrop = document.getElementById('img-backdrop');
 
   // Try to restore saved preferences
-  const savedName = localStorage.getItem('playerName') || 'Player';
-  const savedCharacter = localStorage.getItem('playerCharacter') || '1';
+  const savedName = localStorage.getItem('playerName') || '';
   const savedServerUrl = localStorage.getItem('serverUrl') || 'ws://localhost:3001';
+  const savedRoomCode = localStorage.getItem('roomCode') || DEFAULT_ROOM_ID;
   
   playerNameInput.value = savedName;
-  playerCharacterSelect.value = savedCharacter;
   serverUrlInput.value = savedServerUrl;
+  roomCodeInput.value = savedRoomCode;
+
+  const showJoinModal = (message = '') => {
+    joinModal.classList.remove('hidden');
+    gameContainer.classList.add('hidden');
+    imgBackdrop.classList.remove('hidden');
+    loginStatus.textContent = message;
+    loginStatus.classList.toggle('hidden', !message);
+  };
   
   // Handle join button click
   joinButton.addEventListener('click', () => {
-    const playerName = playerNameInput.value.trim() || 'Player';
-    const playerCharacter = playerCharacterSelect.value;
+    const playerName = playerNameInput.value.trim();
+    const passphrase = passphraseInput.value;
     const serverUrl = serverUrlInput.value.trim() || 'ws://localhost:3001';
-    
-    // Validate character
-    if (playerCharacter !== '1' && playerCharacter !== '2') {
-      alert('Please select a valid character (1 or 2)');
+    const roomCode = roomCodeInput.value.trim().toLowerCase() || DEFAULT_ROOM_ID;
+    
+    // A saved token only stands in for the passphrase of the account it was issued to
+    const sessionToken = localStorage.getItem(SESSION_TOKEN_KEY);
+    const canUseToken = sessionToken
+      && localStorage.getItem(SESSION_NAME_KEY)?.toLowerCase() === playerName.toLowerCase();
+    if (!playerName || (!passphrase && !canUseToken)) {
+      showJoinModal('İsim ve şifre gerekli.');
       return;
     }
     
     // Save preferences
     localStorage.setItem('playerName', playerName);
-    localStorage.setItem('playerCharacter', playerCharacter);
     localStorage.setItem('serverUrl', serverUrl);
+    localStorage.setItem('roomCode', roomCode);
+    passphraseInput.value = '';
     
     // Hide modal and show game
     joinModal.classList.add('hidden');
@@ -547,12 +613,16 @@ window.addEventListener('DOMContentLoaded', () => {
     imgBackdrop.classList.add('hidden');
     // Create and start game
     game = new Game();
-    game.start(serverUrl, playerName, playerCharacter).catch((error) => {
+    game.onAuthFailed = (error) => {
+      game.stop();
+      game = null;
+      showJoinModal(error);
+    };
+    const credentials = { playerName, passphrase, sessionToken: canUseToken ? sessionToken : null };
+    game.start(serverUrl, credentials, roomCode).catch((error) => {
       console.error('Failed to start game:', error);
       // Show modal again on error
-      joinModal.classList.remove('hidden');
-      gameContainer.classList.add('hidden');
-      imgBackdrop.classList.remove('hidden');
+      showJoinModal();
     });
   });
   
@@ -563,11 +633,23 @@ window.addEventListener('DOMContentLoaded', () => {
     }
   });
   
+  passphraseInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      joinButton.click();
+    }
+  });
+  
   serverUrlInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
       joinButton.click();
     }
   });
+  
+  roomCodeInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      joinButton.click();
+    }
+  });
 });
 
 // Cleanup on page unload
@@ -582,10 +664,10 @@ window.addEventListener('keydown', (e) => {
   if (e.key === 'Enter' && game && game.running) {
     game.resetPlayerPosition();
   }
-  // Toggle object placing mode with 'P' key
+  // Switch editor tool with 'P' key
   if (e.key === 'p' || e.key === 'P') {
     if (game && game.running) {
-      game.toggleObjectPlacingMode();
+      game.editor.toggleTool();
       e.preventDefault();
     }
   }
@@ -1,39 +1,33 @@
 // Network communication with WebSocket
 
-// Message types (must match server)
-const MESSAGE_TYPES = {
-  // Client -> Server
-  JOIN: 'join',
-  INPUT: 'input',
-  DISCONNECT: 'disconnect',
-  RESET_POSITION: 'reset_position',
-  PLACE_COLLIDER: 'place_collider',
-  REMOVE_COLLIDER: 'remove_collider',
-  PLACE_OBJECT: 'place_object',
-  REMOVE_OBJECT: 'remove_object',
-  HUG: 'hug',
-  BENCH_SIT: 'bench_sit',
-  BENCH_STAND: 'bench_stand',
-  
-  // Server -> Client
-  WELCOME: 'welcome',
-  STATE_UPDATE: 'state_update',
-  PLAYER_JOINED: 'player_joined',
-  PLAYER_LEFT: 'player_left',
-  COLLIDER_PLACED: 'collider_placed',
-  COLLIDER_REMOVED: 'collider_removed',
-  OBJECT_PLACED: 'object_placed',
-  OBJECT_REMOVED: 'object_removed',
-  HUG_STARTED: 'hug_started',
-  HUG_ENDED: 'hug_ended',
-  ERROR: 'error',
-};
+import { MESSAGE_TYPES, validateServerMessage } from './shared/protocol.js';
+import { BINARY_PROTOCOL_VERSION, encodeInput, decodeMessage } from './shared/binaryCodec.js';
+
+// Roles that may edit colliders and objects (must match server ROLE_PERMISSIONS)
+export const EDITOR_ROLES = ['owner', 'editor'];
+
+// Debug toggle: `?protocol=json` keeps every message readable in the browser's network
+// panel. The choice is remembered in localStorage; `?protocol=binary` switches back.
+const WIRE_PROTOCOL_KEY = 'wireProtocol';
+
+function prefersBinaryProtocol() {
+  const requested = new URLSearchParams(window.location.search).get('protocol');
+  if (requested === 'json' || requested === 'binary') {
+    localStorage.setItem(WIRE_PROTOCOL_KEY, requested);
+  }
+  return localStorage.getItem(WIRE_PROTOCOL_KEY) !== 'json';
+}
 
 export class NetworkManager {
   constructor() {
     this.ws = null;
     this.connected = false;
     this.playerId = null;
+    this.roomId = null;
+    this.sessionToken = null;
+    this.joinOptions = null; // character and room, resent with the token after a reconnect
+    this.preferBinary = prefersBinaryProtocol();
+    this.binary = false; // Whether the server accepted binary frames for this session
     this.serverUrl = null;
     this.onStateUpdate = null;
     this.onWelcome = null;
@@ -42,8 +36,11 @@ export class NetworkManager {
     this.onPlayerLeft = null;
     this.onColliderPlaced = null;
     this.onColliderRemoved = null;
+    this.onCollidersPlaced = null;
+    this.onCollidersRemoved = null;
     this.onObjectPlaced = null;
     this.onObjectRemoved = null;
+    this.onRoleChanged = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
@@ -55,11 +52,16 @@ export class NetworkManager {
     return new Promise((resolve, reject) => {
       try {
         this.ws = new WebSocket(this.serverUrl);
+        this.ws.binaryType = 'arraybuffer';
         
         this.ws.onopen = () => {
           console.log('Connected to server');
+          const isReconnect = this.reconnectAttempts > 0;
           this.connected = true;
           this.reconnectAttempts = 0;
+          if (isReconnect && this.sessionToken && this.joinOptions) {
+            this.sendJoin({ ...this.joinOptions, token: this.sessionToken });
+          }
           resolve();
         };
         
@@ -70,6 +72,8 @@ export class NetworkManager {
         this.ws.onclose = () => {
           console.log('Disconnected from server');
           this.connected = false;
+          this.binary = false;
+          this.playerId = null; // Set again by the welcome after rejoining
           this.attemptReconnect();
         };
         
@@ -85,10 +89,19 @@ export class NetworkManager {
   
   handleMessage(data) {
     try {
-      const message = JSON.parse(data);
+      // Binary frames are the hot messages, everything else is JSON text
+      const message = typeof data === 'string' ? JSON.parse(data) : decodeMessage(data);
+      const problem = validateServerMessage(message);
+      if (problem) {
+        console.warn(`Dropped server message: ${problem.message}`);
+        return;
+      }
       switch (message.type) {
         case MESSAGE_TYPES.WELCOME:
+          this.binary = message.binary === true;
           this.playerId = message.playerId;
+          this.roomId = message.roomId || null;
+          this.sessionToken = message.sessionToken || this.sessionToken;
           if (this.onWelcome) {
             this.onWelcome(message);
           }
@@ -124,6 +137,18 @@ export class NetworkManager {
           }
           break;
 
+        case MESSAGE_TYPES.COLLIDERS_PLACED:
+          if (this.onCollidersPlaced) {
+            this.onCollidersPlaced(message);
+          }
+          break;
+
+        case MESSAGE_TYPES.COLLIDERS_REMOVED:
+          if (this.onCollidersRemoved) {
+            this.onCollidersRemoved(message);
+          }
+          break;
+
         case MESSAGE_TYPES.OBJECT_PLACED:
           if (this.onObjectPlaced) {
             this.onObjectPlaced(message);
@@ -148,10 +173,34 @@ export class NetworkManager {
           }
           break;
           
+        case MESSAGE_TYPES.ROLE_CHANGED:
+          if (this.onRoleChanged) {
+            this.onRoleChanged(message);
+          }
+          break;
+          
+        case MESSAGE_TYPES.SEAT_CHANGED:
+          if (this.onSeatChanged) {
+            this.onSeatChanged(message);
+          }
+          break;
+          
+        case MESSAGE_TYPES.NPC_SAID:
+          if (this.onNpcSaid) {
+            this.onNpcSaid(message);
+          }
+          break;
+          
+        case MESSAGE_TYPES.APPEARANCE_CHANGED:
+          if (this.onAppearanceChanged) {
+            this.onAppearanceChanged(message);
+          }
+          break;
+          
         case MESSAGE_TYPES.ERROR:
           console.error('Server error:', message.error);
           if (this.onError) {
-            this.onError(message.error);
+            this.onError(message.error, message.code || null, message.field || null);
           }
           break;
           
@@ -163,15 +212,26 @@ export class NetworkManager {
     }
   }
   
-  sendJoin(name, character, playerId = null) {
+  // Join with either a session token or a name and passphrase
+  sendJoin({ name = null, passphrase = null, token = null, character, room = null }) {
     if (!this.connected || !this.ws) return;
     
+    this.joinOptions = { character, room };
     const message = {
       type: MESSAGE_TYPES.JOIN,
-      name,
       character,
-      playerId,
+      room,
     };
+    if (token) {
+      message.token = token;
+    } else {
+      message.name = name;
+      message.passphrase = passphrase;
+    }
+    // Offer binary frames; the welcome says whether the server took them
+    if (this.preferBinary) {
+      message.binary = BINARY_PROTOCOL_VERSION;
+    }
     
     this.ws.send(JSON.stringify(message));
   }
@@ -184,7 +244,7 @@ export class NetworkManager {
       input,
     };
     
-    this.ws.send(JSON.stringify(message));
+    this.ws.send(this.binary ? encodeInput(message) : JSON.stringify(message));
   }
   
   sendResetPosition() {
@@ -221,7 +281,48 @@ export class NetworkManager {
     this.ws.send(JSON.stringify(message));
   }
 
-  sendPlaceObject(x, y) {
+  // Send many collider tiles at once; the server applies all of them or none
+  sendPlaceColliders(tiles) {
+    if (!this.connected || !this.ws || tiles.length === 0) return;
+
+    const message = {
+      type: MESSAGE_TYPES.PLACE_COLLIDERS,
+      tiles,
+    };
+
+    this.ws.send(JSON.stringify(message));
+  }
+
+  sendRemoveColliders(tiles) {
+    if (!this.connected || !this.ws || tiles.length === 0) return;
+
+    const message = {
+      type: MESSAGE_TYPES.REMOVE_COLLIDERS,
+      tiles,
+    };
+
+    this.ws.send(JSON.stringify(message));
+  }
+
+  // Tell the server which tick we applied, so the next update is a delta against it
+  sendStateAck(tick) {
+    if (!this.connected || !this.ws) return;
+    this.ws.send(JSON.stringify({ type: MESSAGE_TYPES.STATE_ACK, tick }));
+  }
+
+  // Undo or redo this player's own most recent world edit
+  sendUndo() {
+    if (!this.connected || !this.ws) return;
+    this.ws.send(JSON.stringify({ type: MESSAGE_TYPES.UNDO }));
+  }
+
+  sendRedo() {
+    if (!this.connected || !this.ws) return;
+    this.ws.send(JSON.stringify({ type: MESSAGE_TYPES.REDO }));
+  }
+
+  // `furniture` names a furniture type to place instead of a display object
+  sendPlaceObject(x, y, furniture = null) {
     if (!this.connected || !this.ws) return;
 
     const message = {
@@ -229,6 +330,9 @@ export class NetworkManager {
       x,
       y,
     };
+    if (furniture) {
+      message.furniture = furniture;
+    }
 
     this.ws.send(JSON.stringify(message));
   }
@@ -254,21 +358,73 @@ export class NetworkManager {
     this.ws.send(JSON.stringify(message));
   }
   
-  sendBenchSit() {
+  sendSit(objectId, seat) {
+    if (!this.connected || !this.ws) return;
+    
+    const message = {
+      type: MESSAGE_TYPES.SIT,
+      objectId,
+      seat,
+    };
+    
+    this.ws.send(JSON.stringify(message));
+  }
+  
+  sendStand() {
+    if (!this.connected || !this.ws) return;
+    
+    const message = {
+      type: MESSAGE_TYPES.STAND,
+    };
+    
+    this.ws.send(JSON.stringify(message));
+  }
+  
+  // Talk to an NPC in reach; the server answers with npc_said
+  sendTalk(npcId) {
     if (!this.connected || !this.ws) return;
     
     const message = {
-      type: MESSAGE_TYPES.BENCH_SIT,
+      type: MESSAGE_TYPES.TALK,
+      npcId,
     };
     
     this.ws.send(JSON.stringify(message));
   }
   
-  sendBenchStand() {
+  // Adopt a pet or change its behavior; a null behavior lets it go
+  sendSetPet(pet, behavior) {
     if (!this.connected || !this.ws) return;
     
     const message = {
-      type: MESSAGE_TYPES.BENCH_STAND,
+      type: MESSAGE_TYPES.SET_PET,
+      pet,
+      behavior,
+    };
+    
+    this.ws.send(JSON.stringify(message));
+  }
+  
+  // Save the look picked in the character creator
+  sendSetAppearance(appearance) {
+    if (!this.connected || !this.ws) return;
+    
+    const message = {
+      type: MESSAGE_TYPES.SET_APPEARANCE,
+      appearance,
+    };
+    
+    this.ws.send(JSON.stringify(message));
+  }
+  
+  // Owner only: give another player in the room a new role
+  sendSetRole(playerId, role) {
+    if (!this.connected || !this.ws || !playerId) return;
+    
+    const message = {
+      type: MESSAGE_TYPES.SET_ROLE,
+      playerId,
+      role,
     };
     
     this.ws.send(JSON.stringify(message));
@@ -292,6 +448,7 @@ export class NetworkManager {
   
   disconnect() {
     if (this.ws) {
+      this.ws.onclose = null; // Leaving on purpose, don't reconnect
       this.ws.close();
       this.ws = null;
     }
@@ -0,0 +1,52 @@
+// Pet panel: one menu per pet type to adopt it, pick its behavior or let it go.
+// The menus are read back from the player's pets among the followers in state
+// updates, so they always show what the server accepted.
+
+import { PET_TYPES, PET_BEHAVIOR_NAMES, getPetId } from './shared/pets.js';
+
+const NO_PET = '';
+
+export class PetPanel {
+  constructor({ world, networkManager }) {
+    this.world = world;
+    this.networkManager = networkManager;
+    this.playerId = null;
+
+    this.element = document.getElementById('petPanel');
+    this.selects = new Map(); // Pet type -> its behavior menu
+    Object.entries(PET_TYPES).forEach(([type, pet]) => {
+      const label = document.createElement('label');
+      label.textContent = pet.name;
+      const select = document.createElement('select');
+      select.replaceChildren(
+        new Option('Yok', NO_PET),
+        ...Object.entries(PET_BEHAVIOR_NAMES).map(([behavior, name]) => new Option(name, behavior)),
+      );
+      select.addEventListener('change', () => this.handleChange(type, select));
+      label.append(select);
+      this.element.append(label);
+      this.selects.set(type, select);
+    });
+  }
+
+  setPlayerId(playerId) {
+    this.playerId = playerId;
+    this.element.classList.toggle('hidden', !playerId);
+  }
+
+  handleChange(type, select) {
+    this.networkManager.sendSetPet(type, select.value === NO_PET ? null : select.value);
+    // Hand the keyboard back to the game; arrow keys would otherwise change the menu
+    select.blur();
+  }
+
+  // Called after each state update
+  update() {
+    this.selects.forEach((select, type) => {
+      if (document.activeElement !== select) {
+        const pet = this.world.getFollower(getPetId(this.playerId, type));
+        select.value = pet?.behavior || NO_PET;
+      }
+    });
+  }
+}
@@ -0,0 +1,117 @@
+// Client-side prediction for the local player. Every input moves the player right away
+// with the shared movement step; each state update rewinds to the server's position and
+// replays the inputs it hasn't processed yet (the server echoes `lastInputSeq`).
+
+import { stepPlayer, TICK_SECONDS } from './shared/movement.js';
+
+const STEP_MS = TICK_SECONDS * 1000;
+const MAX_PENDING_INPUTS = 60; // 3 seconds of unacknowledged inputs
+const CORRECTION_HALF_LIFE_MS = 50; // Mispredictions are blended out instead of snapped
+const SNAP_DISTANCE = 64; // Larger corrections (teleports, resets) snap immediately
+const RECONCILE_TOLERANCE = 0.01; // Smaller differences are float noise, not mispredictions
+
+export class Predictor {
+  constructor(world) {
+    this.world = world;
+    this.playerId = null;
+    this.pending = []; // Inputs sent but not yet processed by the server, oldest first
+    this.position = null; // Predicted position after the newest input
+    this.previous = null; // Position one step earlier; rendering blends between the two
+    this.lastStepTime = 0;
+    this.moving = false;
+    this.correction = { x: 0, y: 0 }; // Render offset left over from the last reconcile
+    this.lastRenderTime = 0;
+  }
+
+  reset(playerId) {
+    this.playerId = playerId;
+    this.pending = [];
+    this.position = null;
+    this.previous = null;
+    this.moving = false;
+    this.correction = { x: 0, y: 0 };
+  }
+
+  step(position, keys) {
+    return stepPlayer(this.world.collision, position, keys);
+  }
+
+  // The server skips movement for hugging or sitting players, so prediction does too
+  canMove(player) {
+    return !player.hugging && !player.sitting;
+  }
+
+  // Called for every input sent to the server
+  applyInput(input) {
+    const player = this.world.getPlayer(this.playerId);
+    if (!player || !this.position) return;
+
+    this.pending.push(input);
+    if (this.pending.length > MAX_PENDING_INPUTS) {
+      this.pending.shift();
+    }
+
+    this.previous = { ...this.position };
+    this.lastStepTime = Date.now();
+    if (this.canMove(player)) {
+      const next = this.step(this.position, input.keys);
+      this.position = { x: next.x, y: next.y };
+      this.moving = next.vx !== 0 || next.vy !== 0;
+    } else {
+      this.moving = false;
+    }
+  }
+
+  // Called after each state update has been applied to the world
+  reconcile() {
+    const player = this.world.getPlayer(this.playerId);
+    if (!player || !Number.isFinite(player.serverX) || !Number.isFinite(player.serverY)) return;
+
+    const acknowledged = player.lastInputSeq || 0;
+    this.pending = this.pending.filter((input) => input.seq > acknowledged);
+
+    let position = { x: player.serverX, y: player.serverY };
+    if (this.canMove(player)) {
+      this.pending.forEach((input) => {
+        const next = this.step(position, input.keys);
+        position = { x: next.x, y: next.y };
+      });
+    }
+
+    if (!this.position) {
+      this.position = position;
+      this.previous = { ...position };
+      return;
+    }
+
+    // Shift both ends of the render blend, keeping the jump as an offset that fades out
+    const dx = position.x - this.position.x;
+    const dy = position.y - this.position.y;
+    if (Math.hypot(dx, dy) < RECONCILE_TOLERANCE) return;
+    this.position = position;
+    this.previous = { x: this.previous.x + dx, y: this.previous.y + dy };
+    if (Math.hypot(dx, dy) > SNAP_DISTANCE) {
+      this.correction = { x: 0, y: 0 };
+    } else {
+      this.correction = { x: this.correction.x - dx, y: this.correction.y - dy };
+    }
+  }
+
+  // Where to draw the local player now, or null before the first state update
+  getRenderState(now = Date.now()) {
+    if (!this.position) return null;
+
+    const decay = Math.pow(0.5, Math.max(0, now - this.lastRenderTime) / CORRECTION_HALF_LIFE_MS);
+    this.lastRenderTime = now;
+    this.correction.x *= decay;
+    this.correction.y *= decay;
+
+    const t = Math.min(1, Math.max(0, (now - this.lastStepTime) / STEP_MS));
+    return {
+      x: this.previous.x + (this.position.x - this.previous.x) * t + this.correction.x,
+      y: this.previous.y + (this.position.y - this.previous.y) * t + this.correction.y,
+      // Held keys step again every tick; only a missed step ends the walk animation
+      moving: this.moving && now - this.lastStepTime < STEP_MS * 2,
+    };
+  }
+}
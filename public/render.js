@@ -1,6 +1,7 @@
 // Rendering with interpolation for smooth movement
 
 import { SpriteManager, ANIMATION_CONFIG } from './assets/sprites.js';
+import { ANIMATION_MODES } from './shared/spriteManifest.js';
 import {
   WORLD_MAP,
   TILE_DEFINITIONS,
@@ -8,12 +9,13 @@ import {
   COLLIDER_TILE_SIZE,
   CHARACTER_SPRITE_SIZE,
   FOLLOWER_SPRITE_SIZE,
-  FOLLOWER_FRAME_SIZE,
   OBJECT_WIDTH_PX,
   OBJECT_HEIGHT_PX,
   MAP_COLS,
   MAP_ROWS,
 } from './worldMap.js';
+import { FURNITURE_TYPES, getFurnitureType, findNearestSeating } from './shared/furniture.js';
+import { EDITOR_TOOLS } from './editor.js';
 
 const BASE_VIEWPORT_TILES_W = 100;
 const BASE_VIEWPORT_TILES_H = 50;
@@ -21,6 +23,7 @@ const MIN_VIEWPORT_TILES_W = 8;
 const MIN_VIEWPORT_TILES_H = 6;
 const DEFAULT_ZOOM_LEVEL = 2.4;
 const MAP_BACKGROUND_SCALE = 1.3;
+const NPC_SPEECH_MS = 4000; // How long an NPC's line stays over its head
 
 export class Renderer {
   constructor(canvas) {
@@ -29,9 +32,12 @@ export class Renderer {
     this.ctx.imageSmoothingEnabled = false;
     this.world = null;
     this.myPlayerId = null;
+    this.editor = null; // WorldEditor while one is attached
+    this.predictor = null; // Predictor that places the local player
     this.spriteManager = new SpriteManager();
     this.mapBackground = null;
     this.objectImageCache = new Map();
+    this.npcSpeech = new Map(); // npcId -> { line, until } of lines being shown
     
     // Map configuration
     this.tileSize = COLLIDER_TILE_SIZE;
@@ -42,12 +48,11 @@ export class Renderer {
     this.viewportHeight = 0;
     this.camera = { x: 0, y: 0 };
     
-    // Interpolation settings
-    this.interpolationDelay = 20; // ms to delay rendering for interpolation
     this.scale = 1; // Pixel art scale
     
     // Animation state
     this.animationTime = 0;
+    this.animationStarts = new Map(); // entity id -> { animation, startedAt }, for play-once animations
     
     // Heart particles system
     this.heartParticles = [];
@@ -146,10 +151,22 @@ export class Renderer {
     this.world = world;
   }
   
+  setPredictor(predictor) {
+    this.predictor = predictor;
+  }
+
   setMyPlayerId(playerId) {
     this.myPlayerId = playerId;
   }
 
+  setEditor(editor) {
+    this.editor = editor;
+  }
+
+  isEditing() {
+    return Boolean(this.editor && this.editor.enabled);
+  }
+
   screenToWorld(clientX, clientY) {
     const rect = this.canvas.getBoundingClientRect();
     if (!rect || rect.width === 0 || rect.height === 0) {
@@ -168,97 +185,85 @@ export class Renderer {
     };
   }
   
-  // Interpolate between two positions
-  interpolate(start, end, startTime, endTime, currentTime) {
-    const elapsed = currentTime - startTime;
-    const duration = endTime - startTime;
-    
-    if (duration <= 0) return end;
-    
-    const t = Math.min(1, elapsed / duration);
-    return start + (end - start) * t;
-  }
-  
-  // Update render positions with interpolation
+  // Place remote players, NPCs and followers from their snapshot buffers, the local player from prediction
   updateRenderPositions() {
     const now = Date.now();
-    const renderTime = now - this.interpolationDelay;
+    const renderTime = this.world.getRenderTime(now);
     
     this.world.getAllPlayers().forEach(player => {
-      if (!player.interpolationStart) {
+      const predicted = player.id === this.myPlayerId && this.predictor
+        ? this.predictor.getRenderState(now)
+        : null;
+      const sampled = predicted || player.buffer.sample(renderTime);
+      if (!sampled) {
         player.renderX = player.serverX;
         player.renderY = player.serverY;
+        player.renderMoving = undefined;
         return;
       }
-      
-      // Interpolate position
-      const targetTime = player.lastServerUpdate - this.interpolationDelay;
-      
-      if (renderTime >= targetTime) {
-        // We've caught up, use server position
-        player.renderX = player.serverX;
-        player.renderY = player.serverY;
-        player.interpolationStart = null;
-      } else {
-        // Interpolate
-        const startTime = player.interpolationStart.time;
-        player.renderX = this.interpolate(
-          player.interpolationStart.x,
-          player.serverX,
-          startTime,
-          targetTime,
-          renderTime
-        );
-        player.renderY = this.interpolate(
-          player.interpolationStart.y,
-          player.serverY,
-          startTime,
-          targetTime,
-          renderTime
-        );
-      }
+      player.renderX = sampled.x;
+      player.renderY = sampled.y;
+      player.renderMoving = sampled.moving;
+    });
+
+    this.world.getFollowers().forEach((follower) => {
+      const sampled = follower.buffer.sample(renderTime);
+      follower.renderX = sampled ? sampled.x : follower.x;
+      follower.renderY = sampled ? sampled.y : follower.y;
+    });
+
+    this.world.getNpcs().forEach((npc) => {
+      const sampled = npc.buffer.sample(renderTime);
+      npc.renderX = sampled ? sampled.x : npc.x;
+      npc.renderY = sampled ? sampled.y : npc.y;
+      npc.renderMoving = sampled ? sampled.moving : npc.vx !== 0 || npc.vy !== 0;
     });
   }
   
   // Get current animation for player
   getPlayerAnimation(player) {
-    // Check if player is sitting
+    // Seated players take their seat's pose; poses are named after animations
     if (player.sitting) {
-      return ANIMATION_CONFIG.SIT;
+      const pose = player.seat?.pose;
+      return pose && this.hasPlayerAnimation(player, pose) ? pose : ANIMATION_CONFIG.SIT;
     }
     // Check if player is hugging
     if (player.hugging) {
       return ANIMATION_CONFIG.HUG;
     }
-    // Check if player is moving
-    const isMoving = (player.serverVx !== 0 || player.serverVy !== 0);
+    // Check if player is moving (as drawn, so walking stops when the sprite does)
+    const isMoving = player.renderMoving ?? (player.serverVx !== 0 || player.serverVy !== 0);
     return isMoving ? ANIMATION_CONFIG.WALK : ANIMATION_CONFIG.IDLE;
   }
   
-  // Get current animation frame
-  getAnimationFrame(animation, time, player = null) {
-    const frameCount = ANIMATION_CONFIG.FRAMES[animation] || 1;
-    const speed = ANIMATION_CONFIG.SPEED[animation] || 1;
-    const frameTime = 1000 / speed; // milliseconds per frame
-    
-    // Special handling for hug animation - play once then stay on last frame
-    if (animation === ANIMATION_CONFIG.HUG && player && player.hugging && player.hugEndTime) {
-      const HUG_DURATION = 2000; // 2 seconds
-      const hugStartTime = player.hugEndTime - HUG_DURATION;
-      const elapsed = Date.now() - hugStartTime;
-      const animationDuration = frameCount * frameTime;
-      
-      // If animation has completed, stay on last frame
-      if (elapsed >= animationDuration) {
-        return frameCount - 1;
-      }
-      // Otherwise, play through normally
-      return Math.floor((elapsed / frameTime) % frameCount);
+  // Players with a character creator look are drawn from its composited sheet (cached
+  // per appearance by the SpriteManager), the rest from their character's sheet
+  getPlayerDefinition(player, animation) {
+    return (player.appearance && this.spriteManager.getAppearanceAnimation(player.appearance, animation))
+      || this.spriteManager.getCharacterAnimation(player.character || '1', animation);
+  }
+  
+  hasPlayerAnimation(player, animation) {
+    return player.appearance && this.spriteManager.composeAppearance(player.appearance)
+      ? this.spriteManager.hasAppearanceAnimation(player.appearance, animation)
+      : this.spriteManager.hasCharacterAnimation(player.character || '1', animation);
+  }
+  
+  // Frame of a manifest animation to draw for an entity. Play-once animations count
+  // from when the entity started showing them and then hold their last frame.
+  getAnimationFrame(definition, entityId, animation) {
+    if (definition.mode !== ANIMATION_MODES.ONCE) {
+      this.animationStarts.delete(entityId);
+      return Math.floor(this.animationTime / definition.frameDuration) % definition.frames;
     }
     
-    // Default: loop the animation
-    const frame = Math.floor((time / frameTime) % frameCount);
-    return frame;
+    const now = Date.now();
+    let start = this.animationStarts.get(entityId);
+    if (!start || start.animation !== animation) {
+      start = { animation, startedAt: now };
+      this.animationStarts.set(entityId, start);
+    }
+    return Math.min(definition.frames - 1, Math.floor((now - start.startedAt) / definition.frameDuration));
   }
   
   // Render a player
@@ -277,22 +282,13 @@ export class Renderer {
     // Get character and animation
     const character = player.character || '1';
     const animation = this.getPlayerAnimation(player);
-    const frame = this.getAnimationFrame(animation, this.animationTime, player);
-    
-    // Get sprite name
-    let spriteName = this.spriteManager.getSpriteName(character, animation);
-    let sprite = this.spriteManager.getSprite(spriteName);
+    // Missing animations fall back to idle (see SpriteManager.getAnimation)
+    const definition = this.getPlayerDefinition(player, animation);
     
-    // Fallback to idle if sit sprite doesn't exist
-    if (!sprite && animation === ANIMATION_CONFIG.SIT) {
-      spriteName = this.spriteManager.getSpriteName(character, ANIMATION_CONFIG.IDLE);
-      sprite = this.spriteManager.getSprite(spriteName);
-    }
-    
-    if (sprite) {
-      // Calculate sprite sheet position (assuming horizontal sprite sheet)
-      const frameWidth = sprite.width / ANIMATION_CONFIG.FRAMES[animation];
-      const sx = frame * frameWidth;
+    if (definition) {
+      // Frames sit side by side in the sheet
+      const frame = this.getAnimationFrame(definition, player.id, animation);
+      const sx = frame * definition.frameWidth;
       const sy = 0;
       
       // Save context for flipping
@@ -307,8 +303,8 @@ export class Renderer {
       
       // Draw sprite with bottom anchor (bottom center of sprite at player position)
       this.ctx.drawImage(
-        sprite,
-        sx, sy, frameWidth, this.spriteHeight, // Source rectangle
+        definition.image,
+        sx, sy, definition.frameWidth, definition.frameHeight, // Source rectangle
         x - this.spriteWidth / 2, y - this.spriteHeight, // Destination position (bottom anchor)
         this.spriteWidth, this.spriteHeight // Destination size
       );
@@ -339,7 +335,8 @@ export class Renderer {
       this.ctx.font = '8px monospace';
       this.ctx.textAlign = 'center';
       // Position name above the sprite (sprite is bottom anchored)
-      this.ctx.fillText(player.character === '1' ? 'Badem' : 'Semih', x, y - this.spriteHeight - 2);
+      const label = player.isNpc ? player.name : this.spriteManager.getCharacterName(character);
+      this.ctx.fillText(label, x, y - this.spriteHeight - 2);
     }
   }
   
@@ -353,7 +350,8 @@ export class Renderer {
     PLAYERS: 5,
     HEART_PARTICLES: 6,
     OBJECT_PREVIEWS: 7,
-    UI: 8,
+    EDITOR_GHOST: 8,
+    UI: 9,
   };
   
   updateCamera() {
@@ -418,6 +416,7 @@ export class Renderer {
     this.renderLayer(Renderer.RENDER_LAYERS.PLAYERS);
     this.renderLayer(Renderer.RENDER_LAYERS.HEART_PARTICLES);
     this.renderLayer(Renderer.RENDER_LAYERS.OBJECT_PREVIEWS);
+    this.renderLayer(Renderer.RENDER_LAYERS.EDITOR_GHOST);
 
     this.ctx.restore();
 
@@ -438,7 +437,6 @@ export class Renderer {
 
       case Renderer.RENDER_LAYERS.OBJECTS:
         this.renderObjects();
-        this.renderBench();
         break;
         
       case Renderer.RENDER_LAYERS.FOLLOWERS:
@@ -446,7 +444,10 @@ export class Renderer {
         break;
         
       case Renderer.RENDER_LAYERS.GRID:
-        // this.drawGrid();
+        // Grid only helps while editing
+        if (this.isEditing()) {
+          this.drawGrid();
+        }
         break;
         
       case Renderer.RENDER_LAYERS.PLAYERS:
@@ -469,11 +470,16 @@ export class Renderer {
           });
         }
         
-        // Render all players, flipping the rightmost one only during hug
+        // NPCs share the player sprites and are drawn beneath them, facing where they walk
+        this.world.getNpcs().forEach((npc) => this.renderPlayer(npc, npc.vx < -1));
+        
+        // Render all players, flipping the rightmost one during hug and anyone seated facing left
         players.forEach(player => {
           const isRightmost = huggingPlayers.length > 0 && rightmostPlayer && player.id === rightmostPlayer.id;
-          this.renderPlayer(player, isRightmost);
+          const facesLeft = player.sitting && player.seat?.facing === 'left';
+          this.renderPlayer(player, isRightmost || facesLeft);
         });
+        this.renderNpcSpeech();
         break;
         
       case Renderer.RENDER_LAYERS.HEART_PARTICLES:
@@ -487,6 +493,10 @@ export class Renderer {
         this.renderObjectPreviews();
         break;
         
+      case Renderer.RENDER_LAYERS.EDITOR_GHOST:
+        this.renderEditorGhost();
+        break;
+        
       case Renderer.RENDER_LAYERS.UI:
         // UI layer - interaction hint is handled via HTML element
         break;
@@ -573,8 +583,13 @@ export class Renderer {
       return;
     }
 
+    // Colliders are invisible in play and shown as an overlay while editing
+    if (!this.isEditing()) {
+      return;
+    }
+
     this.ctx.save();
-    this.ctx.fillStyle = 'rgba(199, 26, 26, 0)';
+    this.ctx.fillStyle = 'rgba(199, 26, 26, 0.35)';
 
     colliders.forEach(({ col, row }) => {
       const dx = col * this.tileSize;
@@ -585,6 +600,46 @@ export class Renderer {
     this.ctx.restore();
   }
 
+  // Preview of what a click would do at the cursor
+  renderEditorGhost() {
+    const ghost = this.editor ? this.editor.getGhost() : null;
+    if (!ghost) {
+      return;
+    }
+
+    this.ctx.save();
+    if (ghost.tool === EDITOR_TOOLS.COLLIDER) {
+      // Tiles about to be erased get a red outline, tiles about to be painted a red fill
+      this.ctx.fillStyle = ghost.removing ? 'rgba(255, 255, 255, 0.15)' : 'rgba(199, 26, 26, 0.5)';
+      this.ctx.strokeStyle = ghost.removing ? '#ff4040' : '#ffffff';
+      this.ctx.lineWidth = 1;
+      ghost.tiles.forEach(({ col, row }) => {
+        const dx = col * this.tileSize;
+        const dy = row * this.tileSize;
+        this.ctx.fillRect(dx, dy, this.tileSize, this.tileSize);
+        this.ctx.strokeRect(dx + 0.5, dy + 0.5, this.tileSize - 1, this.tileSize - 1);
+      });
+    } else {
+      const spriteX = Math.round(ghost.x - ghost.width / 2);
+      const spriteY = Math.round(ghost.y - ghost.height);
+      const pillarSprite = this.spriteManager.getSprite('pillar');
+      this.ctx.globalAlpha = 0.5;
+      if (ghost.furniture) {
+        this.renderFurniture(ghost, FURNITURE_TYPES[ghost.furniture], 0.5);
+      } else if (pillarSprite) {
+        this.ctx.drawImage(pillarSprite, spriteX, spriteY, ghost.width, ghost.height);
+      } else {
+        this.ctx.fillStyle = '#5c4c3a';
+        this.ctx.fillRect(spriteX, spriteY, ghost.width, ghost.height);
+      }
+      this.ctx.globalAlpha = 1;
+      this.ctx.strokeStyle = ghost.valid ? '#40ff80' : '#ff4040';
+      this.ctx.lineWidth = 2;
+      this.ctx.strokeRect(spriteX, spriteY, ghost.width, ghost.height);
+    }
+    this.ctx.restore();
+  }
+
   renderObjects() {
     if (!this.world || typeof this.world.getObjects !== 'function') {
       return;
@@ -600,37 +655,6 @@ export class Renderer {
       .forEach((object) => this.renderObject(object));
   }
   
-  renderBench() {
-    const benchX = 2760;
-    const benchY = 1511;
-    const benchSprite = this.spriteManager.getSprite('bench');
-    const BENCH_SCALE = 2.4;
-    
-    if (!benchSprite) return;
-    
-    // Get sprite dimensions and scale by 2.5
-    const benchWidth = (benchSprite.width || 64) * BENCH_SCALE;
-    const benchHeight = (benchSprite.height || 32) * BENCH_SCALE;
-    
-    // Calculate position (benchY is the bottom of the bench, like other objects)
-    const spriteX = Math.round(benchX - benchWidth / 2);
-    const spriteY = Math.round(benchY - benchHeight);
-    
-    // Draw shadow
-    this.ctx.save();
-    this.ctx.globalAlpha = 0.22;
-    this.ctx.fillStyle = '#000000';
-    const shadowWidth = benchWidth * 0.6;
-    const shadowHeight = benchHeight * 0.16;
-    this.ctx.beginPath();
-    this.ctx.ellipse(benchX, benchY - benchHeight * 0.1, shadowWidth, shadowHeight, 0, 0, Math.PI * 2);
-    this.ctx.fill();
-    this.ctx.restore();
-    
-    // Draw bench sprite
-    this.ctx.drawImage(benchSprite, spriteX, spriteY, benchWidth, benchHeight);
-  }
-  
   renderObjectPreviews() {
     if (!this.world || typeof this.world.getObjects !== 'function') {
       return;
@@ -690,6 +714,12 @@ export class Renderer {
   }
 
   renderObject(object) {
+    const furniture = getFurnitureType(object);
+    if (furniture) {
+      this.renderFurniture(object, furniture);
+      return;
+    }
+
     const centerX = Number.isFinite(object.x) ? object.x : 0;
     const baseY = Number.isFinite(object.y) ? object.y : 0;
 
@@ -724,6 +754,27 @@ export class Renderer {
     }
   }
 
+  renderFurniture(object, type, alpha = 1) {
+    const sprite = this.spriteManager.getSprite(type.sprite);
+    const spriteX = Math.round(object.x - type.width / 2);
+    const spriteY = Math.round(object.y - type.height);
+
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.22 * alpha;
+    this.ctx.fillStyle = '#000000';
+    this.ctx.beginPath();
+    this.ctx.ellipse(object.x, object.y - type.height * 0.1, type.width * 0.6, type.height * 0.16, 0, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.globalAlpha = alpha;
+    if (sprite) {
+      this.ctx.drawImage(sprite, spriteX, spriteY, type.width, type.height);
+    } else {
+      this.ctx.fillStyle = '#5c4c3a';
+      this.ctx.fillRect(spriteX, spriteY, type.width, type.height);
+    }
+    this.ctx.restore();
+  }
+
   getObjectImage(src) {
     if (!src) return null;
     let entry = this.objectImageCache.get(src);
@@ -766,30 +817,70 @@ export class Renderer {
     return closest;
   }
   
-  // Check if player is near the bench
-  isNearBench() {
+  // NPC the local player is close enough to talk to, or null
+  getNearbyNpc() {
     if (!this.world || !this.myPlayerId || typeof this.world.getPlayer !== 'function') {
-      return false;
+      return null;
     }
     
     const player = this.world.getPlayer(this.myPlayerId);
-    if (!player) return false;
+    if (!player) return null;
     
     const px = Number.isFinite(player.renderX) ? player.renderX : player.serverX;
     const py = Number.isFinite(player.renderY) ? player.renderY : player.serverY;
     if (!Number.isFinite(px) || !Number.isFinite(py)) {
-      return false;
+      return null;
+    }
+    
+    return this.world.findNpcInReach(px, py);
+  }
+  
+  // Show a line of dialogue over an NPC for a few seconds
+  showNpcLine(npcId, line) {
+    this.npcSpeech.set(npcId, { line, until: Date.now() + NPC_SPEECH_MS });
+  }
+  
+  renderNpcSpeech() {
+    const now = Date.now();
+    this.npcSpeech.forEach((speech, npcId) => {
+      const npc = this.world.getNpc(npcId);
+      if (!npc || now >= speech.until) {
+        this.npcSpeech.delete(npcId);
+        return;
+      }
+      
+      const x = Math.round(npc.renderX ?? npc.x);
+      const bottom = Math.round(npc.renderY ?? npc.y) - this.spriteHeight - 12;
+      this.ctx.save();
+      this.ctx.font = '8px monospace';
+      this.ctx.textAlign = 'center';
+      this.ctx.textBaseline = 'middle';
+      const width = this.ctx.measureText(speech.line).width + 8;
+      const height = 14;
+      this.ctx.fillStyle = '#ffffffe6';
+      this.ctx.fillRect(Math.round(x - width / 2), bottom - height, Math.round(width), height);
+      this.ctx.fillStyle = '#1a1a2e';
+      this.ctx.fillText(speech.line, x, bottom - height / 2);
+      this.ctx.restore();
+    });
+  }
+  
+  // Furniture the local player is close enough to sit on, or null
+  getNearbySeating() {
+    if (!this.world || !this.myPlayerId || typeof this.world.getPlayer !== 'function') {
+      return null;
     }
     
-    const BENCH_X = 2760;
-    const BENCH_Y = 1511;
-    const BENCH_INTERACTION_DISTANCE = 100; // Distance to interact with bench
+    const player = this.world.getPlayer(this.myPlayerId);
+    if (!player) return null;
     
-    const dx = px - BENCH_X;
-    const dy = py - BENCH_Y;
-    const distance = Math.hypot(dx, dy);
+    const px = Number.isFinite(player.renderX) ? player.renderX : player.serverX;
+    const py = Number.isFinite(player.renderY) ? player.renderY : player.serverY;
+    if (!Number.isFinite(px) || !Number.isFinite(py)) {
+      return null;
+    }
     
-    return distance < BENCH_INTERACTION_DISTANCE;
+    return findNearestSeating(this.world.getObjects(), px, py);
   }
   
   // Find the closest object to the current player
@@ -857,19 +948,13 @@ export class Renderer {
   }
 
   renderFollower(follower) {
-    const x = Math.round(follower.x);
-    const y = Math.round(follower.y);
+    const x = Math.round(follower.renderX ?? follower.x);
+    const y = Math.round(follower.renderY ?? follower.y);
 
     const speed = Math.hypot(follower.vx || 0, follower.vy || 0);
     const animation = speed > 10 ? ANIMATION_CONFIG.WALK : ANIMATION_CONFIG.IDLE;
 
-    let spriteName = this.spriteManager.getFollowerSpriteName(follower.sprite, animation);
-    let sprite = spriteName ? this.spriteManager.getSprite(spriteName) : null;
-
-    if (!sprite) {
-      spriteName = this.spriteManager.getFollowerSpriteName(follower.sprite);
-      sprite = spriteName ? this.spriteManager.getSprite(spriteName) : null;
-    }
+    const definition = this.spriteManager.getFollowerAnimation(follower.sprite, animation);
 
     // Draw subtle shadow like players
     this.ctx.save();
@@ -886,18 +971,9 @@ export class Renderer {
     let drawWidth = this.followerSize;
     let drawHeight = this.followerSize;
 
-    if (sprite) {
-      let frameWidth = FOLLOWER_FRAME_SIZE;
-      let frameCount = Math.floor(sprite.width / frameWidth);
-      if (!Number.isFinite(frameCount) || frameCount < 1 || sprite.width % frameWidth !== 0) {
-        frameWidth = sprite.width;
-        frameCount = 1;
-      }
-
-      const frameHeight = sprite.height;
-      const frameIndex = frameCount > 1
-        ? this.getAnimationFrame(animation, this.animationTime) % frameCount
-        : 0;
+    if (definition) {
+      const { frameWidth, frameHeight } = definition;
+      const frameIndex = this.getAnimationFrame(definition, follower.id, animation);
       const sx = frameIndex * frameWidth;
       const sy = 0;
 
@@ -910,7 +986,7 @@ export class Renderer {
       }
 
       this.ctx.drawImage(
-        sprite,
+        definition.image,
         sx,
         sy,
         frameWidth,
@@ -0,0 +1,93 @@
+// Player appearance from the character creator: a body, one part per layer drawn over
+// it, and a color per palette. The parts, palettes and their swatches come from the
+// `appearance` section of the sprite manifest (see shared/spriteManifest.js); the server
+// keeps each player's appearance and the browser composites it into a sprite sheet.
+//
+//   { body: '1', outfit: 'tee', hair: 'long', accessory: null, colors: { hair: '#c9a04a' } }
+//
+// A palette left out of `colors` keeps the part's own colors.
+
+// Part layers drawn over the body, bottom to top. Optional layers may be left empty.
+export const APPEARANCE_LAYERS = [
+  { id: 'outfit', name: 'Kıyafet', optional: false },
+  { id: 'hair', name: 'Saç', optional: false },
+  { id: 'accessory', name: 'Aksesuar', optional: true },
+];
+
+// [id, part] of the layer's parts that have a sheet for `body`
+export function getFittingParts(definitions, layer, body) {
+  return Object.entries(definitions.parts[layer] || {})
+    .filter(([, part]) => Object.hasOwn(part.bodies, body));
+}
+
+// Palettes `appearance` can recolor: the ones its body and parts name
+export function getAppearancePalettes(definitions, appearance) {
+  const slots = new Set(Object.keys(definitions.bodies[appearance.body]?.palette || {}));
+  APPEARANCE_LAYERS.forEach(({ id }) => {
+    const part = definitions.parts[id]?.[appearance[id]];
+    Object.keys(part?.bodies[appearance.body]?.palette || {}).forEach((slot) => slots.add(slot));
+  });
+  return Array.from(slots).filter((slot) => Object.hasOwn(definitions.palettes, slot));
+}
+
+// The first fitting part of every required layer, in the body's own colors; null when
+// the manifest has no such body
+export function getDefaultAppearance(definitions, body) {
+  if (!Object.hasOwn(definitions.bodies, body)) {
+    return null;
+  }
+  const appearance = { body, colors: {} };
+  APPEARANCE_LAYERS.forEach(({ id, optional }) => {
+    const [first] = getFittingParts(definitions, id, body);
+    appearance[id] = !optional && first ? first[0] : null;
+  });
+  return appearance;
+}
+
+// Returns { field, reason } for the first thing in `raw` the manifest doesn't offer, or null
+export function checkAppearance(raw, definitions) {
+  if (!raw || typeof raw !== 'object') {
+    return { field: 'appearance', reason: 'must be an object' };
+  }
+  if (!Object.hasOwn(definitions.bodies, raw.body)) {
+    return { field: 'appearance.body', reason: 'is not a body' };
+  }
+  for (const { id, optional } of APPEARANCE_LAYERS) {
+    const fitting = getFittingParts(definitions, id, raw.body);
+    const value = raw[id] ?? null;
+    if (value === null) {
+      // A required layer may only be empty when nothing fits the body
+      if (!optional && fitting.length > 0) return { field: `appearance.${id}`, reason: 'is required' };
+    } else if (!fitting.some(([partId]) => partId === value)) {
+      return { field: `appearance.${id}`, reason: 'is not a part that fits the body' };
+    }
+  }
+  if (raw.colors !== undefined && (!raw.colors || typeof raw.colors !== 'object' || Array.isArray(raw.colors))) {
+    return { field: 'appearance.colors', reason: 'must be an object' };
+  }
+  for (const [slot, color] of Object.entries(raw.colors || {})) {
+    if (!definitions.palettes[slot]?.colors.includes(color)) {
+      return { field: `appearance.colors.${slot}`, reason: 'is not a color of that palette' };
+    }
+  }
+  return null;
+}
+
+// A copy of `raw` when the manifest still offers all of it, otherwise the default
+// appearance of its body (or of `fallbackBody`); null when neither body exists
+export function normalizeAppearance(raw, definitions, fallbackBody) {
+  if (!checkAppearance(raw, definitions)) {
+    const appearance = { body: raw.body, colors: { ...raw.colors } };
+    APPEARANCE_LAYERS.forEach(({ id }) => {
+      appearance[id] = raw[id] ?? null;
+    });
+    return appearance;
+  }
+  return getDefaultAppearance(definitions, raw?.body) || getDefaultAppearance(definitions, fallbackBody);
+}
+
+// Stable text for an appearance, for caching what was drawn for it
+export function getAppearanceKey(appearance) {
+  const colors = Object.keys(appearance.colors || {}).sort().map((slot) => `${slot}=${appearance.colors[slot]}`);
+  return [appearance.body, ...APPEARANCE_LAYERS.map(({ id }) => appearance[id] ?? ''), ...colors].join('|');
+}
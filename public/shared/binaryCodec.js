@@ -0,0 +1,290 @@
+// Compact binary encoding for the hot messages (`input` and `state_update`).
+// Shared by the browser and the server; everything else stays JSON.
+//
+// Every frame starts with [u8 BINARY_PROTOCOL_VERSION][u8 kind]. Numbers are
+// little-endian, strings are [u16 byte length][UTF-8], with 0xFFFF meaning null.
+
+import { MESSAGE_TYPES } from './protocol.js';
+
+export const BINARY_PROTOCOL_VERSION = 4;
+
+const FRAME_KINDS = {
+  INPUT: 1,
+  STATE_UPDATE: 2,
+};
+
+// Input keys in bit order of the input frame's key mask
+const INPUT_KEYS = ['up', 'down', 'left', 'right', 'w', 'a', 's', 'd', 'e', 'h', 'q'];
+
+// Entity fields in bit order of each entity's field mask. Fields not listed here
+// are not sent in binary, so new state fields must be added to these lists.
+const PLAYER_FIELDS = [
+  ['name', 'string'],
+  // Full precision, as the server sends them unrounded for prediction to replay from
+  ['x', 'f64'],
+  ['y', 'f64'],
+  ['vx', 'f32'],
+  ['vy', 'f32'],
+  ['hugging', 'bool'],
+  ['hugEndTime', 'f64'],
+  ['sitting', 'bool'],
+  ['lastInputSeq', 'u32'],
+];
+
+const FOLLOWER_FIELDS = [
+  ['sprite', 'string'],
+  ['slot', 'u16'],
+  ['x', 'f32'],
+  ['y', 'f32'],
+  ['vx', 'f32'],
+  ['vy', 'f32'],
+  ['targetPlayerId', 'string'],
+  ['ownerId', 'string'],
+  ['behavior', 'string'],
+];
+
+const NPC_FIELDS = [
+  ['name', 'string'],
+  ['character', 'string'],
+  ['x', 'f32'],
+  ['y', 'f32'],
+  ['vx', 'f32'],
+  ['vy', 'f32'],
+  ['talkRadius', 'f32'],
+];
+
+const NULL_STRING = 0xffff;
+const STATE_FLAG_KEYFRAME = 1;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Thrown for frames that are truncated, from another protocol version or of an unknown kind
+export class BinaryProtocolError extends Error {}
+
+function createWriter(initialSize = 256) {
+  return { view: new DataView(new ArrayBuffer(initialSize)), offset: 0 };
+}
+
+function reserve(writer, bytes) {
+  const needed = writer.offset + bytes;
+  if (needed <= writer.view.byteLength) {
+    return;
+  }
+  const grown = new Uint8Array(Math.max(needed, writer.view.byteLength * 2));
+  grown.set(new Uint8Array(writer.view.buffer, 0, writer.offset));
+  writer.view = new DataView(grown.buffer);
+}
+
+function finish(writer) {
+  return new Uint8Array(writer.view.buffer, 0, writer.offset);
+}
+
+const WRITERS = {
+  u8(writer, value) {
+    reserve(writer, 1);
+    writer.view.setUint8(writer.offset, value);
+    writer.offset += 1;
+  },
+  u16(writer, value) {
+    reserve(writer, 2);
+    writer.view.setUint16(writer.offset, value, true);
+    writer.offset += 2;
+  },
+  u32(writer, value) {
+    reserve(writer, 4);
+    writer.view.setUint32(writer.offset, value, true);
+    writer.offset += 4;
+  },
+  f32(writer, value) {
+    reserve(writer, 4);
+    writer.view.setFloat32(writer.offset, value, true);
+    writer.offset += 4;
+  },
+  f64(writer, value) {
+    reserve(writer, 8);
+    writer.view.setFloat64(writer.offset, value, true);
+    writer.offset += 8;
+  },
+  bool(writer, value) {
+    WRITERS.u8(writer, value ? 1 : 0);
+  },
+  string(writer, value) {
+    if (value === null || value === undefined) {
+      WRITERS.u16(writer, NULL_STRING);
+      return;
+    }
+    const bytes = textEncoder.encode(String(value));
+    if (bytes.length >= NULL_STRING) {
+      throw new BinaryProtocolError('String too long for a binary frame');
+    }
+    WRITERS.u16(writer, bytes.length);
+    reserve(writer, bytes.length);
+    new Uint8Array(writer.view.buffer, writer.offset, bytes.length).set(bytes);
+    writer.offset += bytes.length;
+  },
+};
+
+function createReader(data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  return { view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), offset: 0 };
+}
+
+function take(reader, bytes) {
+  if (reader.offset + bytes > reader.view.byteLength) {
+    throw new BinaryProtocolError('Truncated binary frame');
+  }
+  const offset = reader.offset;
+  reader.offset += bytes;
+  return offset;
+}
+
+const READERS = {
+  u8: (reader) => reader.view.getUint8(take(reader, 1)),
+  u16: (reader) => reader.view.getUint16(take(reader, 2), true),
+  u32: (reader) => reader.view.getUint32(take(reader, 4), true),
+  f32: (reader) => reader.view.getFloat32(take(reader, 4), true),
+  f64: (reader) => reader.view.getFloat64(take(reader, 8), true),
+  bool: (reader) => reader.view.getUint8(take(reader, 1)) !== 0,
+  string(reader) {
+    const length = READERS.u16(reader);
+    if (length === NULL_STRING) {
+      return null;
+    }
+    const offset = take(reader, length);
+    return textDecoder.decode(new Uint8Array(reader.view.buffer, reader.view.byteOffset + offset, length));
+  },
+};
+
+// Entities carry their id and a bit mask of the fields that follow; deltas only set some bits
+function writeEntities(writer, entities = [], fields) {
+  WRITERS.u16(writer, entities.length);
+  entities.forEach((entity) => {
+    WRITERS.string(writer, entity.id);
+    let mask = 0;
+    fields.forEach(([field], bit) => {
+      if (entity[field] !== undefined) {
+        mask |= 1 << bit;
+      }
+    });
+    WRITERS.u16(writer, mask);
+    fields.forEach(([field, type], bit) => {
+      if (mask & (1 << bit)) {
+        WRITERS[type](writer, entity[field]);
+      }
+    });
+  });
+}
+
+function readEntities(reader, fields) {
+  const count = READERS.u16(reader);
+  const entities = [];
+  for (let i = 0; i < count; i++) {
+    const entity = { id: READERS.string(reader) };
+    const mask = READERS.u16(reader);
+    fields.forEach(([field, type], bit) => {
+      if (mask & (1 << bit)) {
+        entity[field] = READERS[type](reader);
+      }
+    });
+    entities.push(entity);
+  }
+  return entities;
+}
+
+function writeIds(writer, ids = []) {
+  WRITERS.u16(writer, ids.length);
+  ids.forEach((id) => WRITERS.string(writer, id));
+}
+
+function readIds(reader) {
+  const count = READERS.u16(reader);
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    ids.push(READERS.string(reader));
+  }
+  return ids;
+}
+
+function writeHeader(writer, kind) {
+  WRITERS.u8(writer, BINARY_PROTOCOL_VERSION);
+  WRITERS.u8(writer, kind);
+}
+
+// `{ type: 'input', input: { keys, seq, timestamp } }` -> 16 bytes
+export function encodeInput(message) {
+  const writer = createWriter(16);
+  const input = message.input || {};
+  const keys = input.keys || {};
+  writeHeader(writer, FRAME_KINDS.INPUT);
+  WRITERS.u32(writer, input.seq || 0);
+  WRITERS.f64(writer, input.timestamp || 0);
+  WRITERS.u16(writer, INPUT_KEYS.reduce((mask, key, bit) => (keys[key] ? mask | (1 << bit) : mask), 0));
+  return finish(writer);
+}
+
+// A keyframe or delta `state_update` as built by the server
+export function encodeStateUpdate(message) {
+  const writer = createWriter();
+  writeHeader(writer, FRAME_KINDS.STATE_UPDATE);
+  WRITERS.u32(writer, message.tick);
+  WRITERS.f64(writer, message.timestamp);
+  WRITERS.u8(writer, message.keyframe ? STATE_FLAG_KEYFRAME : 0);
+  WRITERS.u32(writer, message.baseTick || 0);
+  writeEntities(writer, message.players, PLAYER_FIELDS);
+  writeIds(writer, message.removedPlayers);
+  writeEntities(writer, message.followers, FOLLOWER_FIELDS);
+  writeIds(writer, message.removedFollowers);
+  writeEntities(writer, message.npcs, NPC_FIELDS);
+  writeIds(writer, message.removedNpcs);
+  return finish(writer);
+}
+
+function decodeInput(reader) {
+  const seq = READERS.u32(reader);
+  const timestamp = READERS.f64(reader);
+  const mask = READERS.u16(reader);
+  const keys = {};
+  INPUT_KEYS.forEach((key, bit) => {
+    keys[key] = (mask & (1 << bit)) !== 0;
+  });
+  return { type: MESSAGE_TYPES.INPUT, input: { keys, seq, timestamp } };
+}
+
+function decodeStateUpdate(reader) {
+  const message = {
+    type: MESSAGE_TYPES.STATE_UPDATE,
+    tick: READERS.u32(reader),
+    timestamp: READERS.f64(reader),
+  };
+  message.keyframe = (READERS.u8(reader) & STATE_FLAG_KEYFRAME) !== 0;
+  const baseTick = READERS.u32(reader);
+  if (!message.keyframe) {
+    message.baseTick = baseTick;
+  }
+  message.players = readEntities(reader, PLAYER_FIELDS);
+  message.removedPlayers = readIds(reader);
+  message.followers = readEntities(reader, FOLLOWER_FIELDS);
+  message.removedFollowers = readIds(reader);
+  message.npcs = readEntities(reader, NPC_FIELDS);
+  message.removedNpcs = readIds(reader);
+  return message;
+}
+
+// Decode any binary frame back into the same message object its JSON form would parse to
+export function decodeMessage(data) {
+  const reader = createReader(data);
+  const version = READERS.u8(reader);
+  if (version !== BINARY_PROTOCOL_VERSION) {
+    throw new BinaryProtocolError(`Unsupported binary protocol version ${version}`);
+  }
+  const kind = READERS.u8(reader);
+  switch (kind) {
+    case FRAME_KINDS.INPUT:
+      return decodeInput(reader);
+    case FRAME_KINDS.STATE_UPDATE:
+      return decodeStateUpdate(reader);
+    default:
+      throw new BinaryProtocolError(`Unknown binary frame kind ${kind}`);
+  }
+}
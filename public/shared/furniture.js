@@ -0,0 +1,83 @@
+// Furniture catalogue shared by the server and the browser. A piece of furniture is a
+// placed object with a `furniture` field naming one of these types; the type decides
+// its sprite, footprint, collision box, seats and how close a player must be to use it.
+// Adding a type here (and its sprite) is enough to place it from the editor.
+//
+// Positions are relative to the object's anchor: x is its center, y its bottom edge.
+// Seats are named slots: where a sitting player is put, where they stand up again,
+// the pose they take (SEAT_POSES) and which way they face (SEAT_FACINGS). Players
+// fill free seats in the order listed.
+
+export const SEAT_POSES = ['sit'];
+
+// Character sheets face right; 'left' mirrors the sprite, 'front' and 'right' don't
+export const SEAT_FACINGS = ['front', 'left', 'right'];
+
+export const FURNITURE_TYPES = {
+  bench: {
+    name: 'Bank',
+    sprite: 'bench',
+    width: 160, // 64x32 sprite drawn at 2.5x
+    height: 80,
+    collider: { width: 64, height: 32, offsetY: -5 },
+    seats: [
+      { name: 'right', x: 14, y: 0, standX: 50, standY: 0, pose: 'sit', facing: 'front' },
+      { name: 'left', x: -14, y: 0, standX: -50, standY: 0, pose: 'sit', facing: 'front' },
+    ],
+    interactionRadius: 100,
+  },
+};
+
+// Type definition for a placed object, or null when it isn't furniture
+export function getFurnitureType(object) {
+  if (!object || typeof object.furniture !== 'string') {
+    return null;
+  }
+  return Object.hasOwn(FURNITURE_TYPES, object.furniture) ? FURNITURE_TYPES[object.furniture] : null;
+}
+
+// Collision box ({ left, top, width, height }) of a furniture object
+export function getFurnitureCollider(object) {
+  const { collider } = getFurnitureType(object);
+  return {
+    left: object.x - collider.width / 2,
+    top: object.y + collider.offsetY - collider.height,
+    width: collider.width,
+    height: collider.height,
+  };
+}
+
+// The seat of a furniture object called `name`, or null
+export function getSeat(object, name) {
+  return getFurnitureType(object)?.seats.find((seat) => seat.name === name) || null;
+}
+
+// World positions of the seat called `name`: { x, y, standX, standY }
+export function getSeatPosition(object, name) {
+  const seat = getSeat(object, name);
+  if (!seat) {
+    return null;
+  }
+  return {
+    x: object.x + seat.x,
+    y: object.y + seat.y,
+    standX: object.x + seat.standX,
+    standY: object.y + seat.standY,
+  };
+}
+
+// The closest furniture with seats whose interaction radius reaches (x, y), or null
+export function findNearestSeating(objects, x, y) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const object of objects) {
+    const type = getFurnitureType(object);
+    if (!type || type.seats.length === 0) continue;
+    const distance = Math.hypot(x - object.x, y - object.y);
+    if (distance <= type.interactionRadius && distance < nearestDistance) {
+      nearest = object;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
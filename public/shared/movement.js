@@ -0,0 +1,127 @@
+// Player movement step shared by the server simulation and client-side prediction.
+// One input advances a player by exactly one tick, on both sides, so replaying the
+// inputs the server hasn't processed yet reproduces its result.
+
+import { getSolidBoxes, WORLD_WIDTH, WORLD_HEIGHT } from './worldMap.js';
+
+export const TICK_RATE = 20; // Server ticks per second; the client sends one input per tick
+export const TICK_SECONDS = 1 / TICK_RATE;
+export const PLAYER_SPEED = 125; // pixels per second
+
+// The player collides as a box PLAYER_RADIUS wide on each side of x and PLAYER_RADIUS
+// tall, standing on y (the feet)
+export const PLAYER_RADIUS = 10; // Half of typical player sprite size
+
+const SKIN = 0.01; // Gap kept to surfaces so the next sweep never starts inside them
+const MAX_SLIDES = 3; // A corner stops motion on both axes within two hits
+
+// Velocity for the pressed movement keys, normalized on diagonals
+export function getInputVelocity(keys) {
+  let vx = 0;
+  let vy = 0;
+
+  if (keys.up || keys.w) vy -= PLAYER_SPEED;
+  if (keys.down || keys.s) vy += PLAYER_SPEED;
+  if (keys.left || keys.a) vx -= PLAYER_SPEED;
+  if (keys.right || keys.d) vx += PLAYER_SPEED;
+
+  if (vx !== 0 && vy !== 0) {
+    const length = Math.sqrt(vx * vx + vy * vy);
+    vx = (vx / length) * PLAYER_SPEED;
+    vy = (vy / length) * PLAYER_SPEED;
+  }
+  return { vx, vy };
+}
+
+function getPlayerBox(x, y) {
+  return { left: x - PLAYER_RADIUS, right: x + PLAYER_RADIUS, top: y - PLAYER_RADIUS, bottom: y };
+}
+
+function overlaps(a, b) {
+  return a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+}
+
+// Whether a player standing at (x, y) overlaps nothing solid in `collisionMap`
+export function canMoveTo(collisionMap, x, y) {
+  const box = getPlayerBox(x, y);
+  return getSolidBoxes(collisionMap, box).every((solid) => !overlaps(box, solid));
+}
+
+// Entry and exit time (as a fraction of `delta`) along one axis, or null when the
+// boxes never overlap on it
+function axisTimes(boxMin, boxMax, solidMin, solidMax, delta) {
+  if (delta === 0) {
+    return boxMax <= solidMin || boxMin >= solidMax ? null : { entry: -Infinity, exit: Infinity };
+  }
+  const entry = delta > 0 ? solidMin - boxMax : solidMax - boxMin;
+  const exit = delta > 0 ? solidMax - boxMin : solidMin - boxMax;
+  return { entry: entry / delta, exit: exit / delta };
+}
+
+// First solid the box hits moving by (dx, dy): { time, normalX, normalY } with time in
+// [0, 1], or null. Solids the box already overlaps are ignored so players can walk
+// out of an object placed on top of them.
+function sweep(box, dx, dy, solids) {
+  let hit = null;
+  solids.forEach((solid) => {
+    const x = axisTimes(box.left, box.right, solid.left, solid.right, dx);
+    const y = axisTimes(box.top, box.bottom, solid.top, solid.bottom, dy);
+    if (!x || !y) return;
+    const entry = Math.max(x.entry, y.entry);
+    const exit = Math.min(x.exit, y.exit);
+    if (entry > exit || entry > 1 || (x.entry < 0 && y.entry < 0)) return;
+    if (hit && hit.time <= entry) return;
+    hit = x.entry > y.entry
+      ? { time: Math.max(0, entry), normalX: -Math.sign(dx), normalY: 0 }
+      : { time: Math.max(0, entry), normalX: 0, normalY: -Math.sign(dy) };
+  });
+  return hit;
+}
+
+// Advance one tick from `position` with `keys` held, against a collision map built by
+// createCollisionMap(). The player's box is swept against solid boxes, so it can't skip
+// over thin colliders; on a hit the motion into the surface is dropped and the rest
+// slides along it. The result stays inside the world bounds.
+export function stepPlayer(collisionMap, position, keys) {
+  let { vx, vy } = getInputVelocity(keys);
+  let dx = vx * TICK_SECONDS;
+  let dy = vy * TICK_SECONDS;
+  let x = position.x;
+  let y = position.y;
+
+  if (dx !== 0 || dy !== 0) {
+    const start = getPlayerBox(x, y);
+    const solids = getSolidBoxes(collisionMap, {
+      left: Math.min(start.left, start.left + dx),
+      right: Math.max(start.right, start.right + dx),
+      top: Math.min(start.top, start.top + dy),
+      bottom: Math.max(start.bottom, start.bottom + dy),
+    });
+
+    for (let slide = 0; slide < MAX_SLIDES && (dx !== 0 || dy !== 0); slide++) {
+      const hit = sweep(getPlayerBox(x, y), dx, dy, solids);
+      if (!hit) {
+        x += dx;
+        y += dy;
+        break;
+      }
+      x += dx * hit.time + hit.normalX * SKIN;
+      y += dy * hit.time + hit.normalY * SKIN;
+      dx *= 1 - hit.time;
+      dy *= 1 - hit.time;
+      if (hit.normalX !== 0) {
+        dx = 0;
+        vx = 0;
+      } else {
+        dy = 0;
+        vy = 0;
+      }
+    }
+  }
+
+  // Basic boundary checks (keep player within world bounds)
+  x = Math.max(0, Math.min(WORLD_WIDTH, x));
+  y = Math.max(0, Math.min(WORLD_HEIGHT, y));
+
+  return { x, y, vx, vy };
+}
@@ -0,0 +1,278 @@
+// A* pathfinding over the collider grid, for followers and anything else that walks
+// the world on its own. A tile is walkable when no solid box (collider tile, collidable
+// map tile, object or furniture collision box) reaches into it. Walkability and found
+// paths are cached per collision map revision, so any edit re-plans from scratch.
+
+import { COLLIDER_TILE_SIZE, MAP_COLS, MAP_ROWS, getSolidBoxes } from './worldMap.js';
+
+const UNKNOWN = 0;
+const WALKABLE = 1;
+const BLOCKED = 2;
+
+const DIAGONAL_COST = Math.SQRT2;
+const TIE_BREAK = 1.001; // Slightly overweights the heuristic so open ground doesn't tie on every tile
+const MAX_EXPANDED_NODES = 8000; // Searches that grow past this give up rather than stall a tick
+const MAX_CACHED_PATHS = 256;
+const GOAL_SEARCH_RADIUS = 4; // Tiles searched around a blocked goal for a walkable one
+const SIGHT_STEP = COLLIDER_TILE_SIZE / 4;
+const REPLAN_GOAL_TILES = 2; // A route is planned again once its goal moved this many tiles
+const WAYPOINT_REACHED = COLLIDER_TILE_SIZE / 2;
+
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, DIAGONAL_COST], [1, -1, DIAGONAL_COST], [-1, 1, DIAGONAL_COST], [-1, -1, DIAGONAL_COST],
+];
+
+function toTile(x, y) {
+  return {
+    col: Math.min(MAP_COLS - 1, Math.max(0, Math.floor(x / COLLIDER_TILE_SIZE))),
+    row: Math.min(MAP_ROWS - 1, Math.max(0, Math.floor(y / COLLIDER_TILE_SIZE))),
+  };
+}
+
+function tileCenter(col, row) {
+  return { x: (col + 0.5) * COLLIDER_TILE_SIZE, y: (row + 0.5) * COLLIDER_TILE_SIZE };
+}
+
+function octile(dx, dy) {
+  const ax = Math.abs(dx);
+  const ay = Math.abs(dy);
+  return Math.max(ax, ay) + (DIAGONAL_COST - 1) * Math.min(ax, ay);
+}
+
+// Binary min-heap of node indices by score. A node pushed again with a better score
+// just gets a second entry; the stale one is skipped once the node is closed.
+class NodeHeap {
+  constructor() {
+    this.nodes = [];
+    this.scores = [];
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  push(node, score) {
+    const { nodes, scores } = this;
+    let index = nodes.length;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (scores[parent] <= score) break;
+      nodes[index] = nodes[parent];
+      scores[index] = scores[parent];
+      index = parent;
+    }
+    nodes[index] = node;
+    scores[index] = score;
+  }
+
+  pop() {
+    const { nodes, scores } = this;
+    const top = nodes[0];
+    const lastNode = nodes.pop();
+    const lastScore = scores.pop();
+    if (nodes.length > 0) {
+      let index = 0;
+      for (;;) {
+        let child = index * 2 + 1;
+        if (child >= nodes.length) break;
+        if (child + 1 < nodes.length && scores[child + 1] < scores[child]) child++;
+        if (scores[child] >= lastScore) break;
+        nodes[index] = nodes[child];
+        scores[index] = scores[child];
+        index = child;
+      }
+      nodes[index] = lastNode;
+      scores[index] = lastScore;
+    }
+    return top;
+  }
+}
+
+export class Pathfinder {
+  constructor(collisionMap) {
+    this.collisionMap = collisionMap;
+    this.revision = null;
+    this.walkable = new Uint8Array(MAP_COLS * MAP_ROWS);
+    this.paths = new Map(); // `start>goal` node indices -> waypoints, or null when unreachable
+  }
+
+  // Forget everything once the collision map changed
+  sync() {
+    if (this.revision !== this.collisionMap.revision) {
+      this.revision = this.collisionMap.revision;
+      this.walkable.fill(UNKNOWN);
+      this.paths.clear();
+    }
+  }
+
+  isWalkable(col, row) {
+    if (col < 0 || col >= MAP_COLS || row < 0 || row >= MAP_ROWS) {
+      return false;
+    }
+    const index = row * MAP_COLS + col;
+    if (this.walkable[index] === UNKNOWN) {
+      const tile = {
+        left: col * COLLIDER_TILE_SIZE,
+        top: row * COLLIDER_TILE_SIZE,
+        right: (col + 1) * COLLIDER_TILE_SIZE,
+        bottom: (row + 1) * COLLIDER_TILE_SIZE,
+      };
+      const blocked = getSolidBoxes(this.collisionMap, tile).some((box) =>
+        box.left < tile.right && box.right > tile.left && box.top < tile.bottom && box.bottom > tile.top);
+      this.walkable[index] = blocked ? BLOCKED : WALKABLE;
+    }
+    return this.walkable[index] === WALKABLE;
+  }
+
+  // Whether a straight walk from (x0, y0) to (x1, y1) only crosses walkable tiles
+  hasLineOfSight(x0, y0, x1, y1) {
+    this.sync();
+    const steps = Math.ceil(Math.hypot(x1 - x0, y1 - y0) / SIGHT_STEP);
+    for (let i = 0; i <= steps; i++) {
+      const t = steps === 0 ? 1 : i / steps;
+      const { col, row } = toTile(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t);
+      if (!this.isWalkable(col, row)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // The walkable tile closest to (col, row) within GOAL_SEARCH_RADIUS, or null
+  findWalkableNear(col, row) {
+    for (let radius = 0; radius <= GOAL_SEARCH_RADIUS; radius++) {
+      let best = null;
+      let bestDistance = Infinity;
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+          const distance = Math.hypot(dx, dy);
+          if (distance < bestDistance && this.isWalkable(col + dx, row + dy)) {
+            best = { col: col + dx, row: row + dy };
+            bestDistance = distance;
+          }
+        }
+      }
+      if (best) {
+        return best;
+      }
+    }
+    return null;
+  }
+
+  // Tile-center waypoints from (fromX, fromY) to (toX, toY), not including the start,
+  // or null when there is no way there. A blocked goal is swapped for a walkable tile
+  // next to it; a blocked start (standing in a doorway that just closed) is walked out of.
+  findPath(fromX, fromY, toX, toY) {
+    this.sync();
+    const start = toTile(fromX, fromY);
+    const target = toTile(toX, toY);
+    const goal = this.isWalkable(target.col, target.row) ? target : this.findWalkableNear(target.col, target.row);
+    if (!goal) {
+      return null;
+    }
+
+    const startIndex = start.row * MAP_COLS + start.col;
+    const goalIndex = goal.row * MAP_COLS + goal.col;
+    const key = `${startIndex}>${goalIndex}`;
+    if (this.paths.has(key)) {
+      const cached = this.paths.get(key);
+      return cached && cached.map((point) => ({ ...point }));
+    }
+
+    const path = this.search(startIndex, goalIndex);
+    if (this.paths.size >= MAX_CACHED_PATHS) {
+      this.paths.delete(this.paths.keys().next().value);
+    }
+    this.paths.set(key, path);
+    return path && path.map((point) => ({ ...point }));
+  }
+
+  search(startIndex, goalIndex) {
+    if (startIndex === goalIndex) {
+      return [];
+    }
+    const goalCol = goalIndex % MAP_COLS;
+    const goalRow = Math.floor(goalIndex / MAP_COLS);
+
+    const costs = new Map([[startIndex, 0]]);
+    const cameFrom = new Map();
+    const closed = new Set();
+    const open = new NodeHeap();
+    open.push(startIndex, octile(startIndex % MAP_COLS - goalCol, Math.floor(startIndex / MAP_COLS) - goalRow) * TIE_BREAK);
+
+    while (open.size > 0 && closed.size < MAX_EXPANDED_NODES) {
+      const current = open.pop();
+      if (current === goalIndex) {
+        return this.buildPath(cameFrom, current);
+      }
+      if (closed.has(current)) continue;
+      closed.add(current);
+
+      const col = current % MAP_COLS;
+      const row = Math.floor(current / MAP_COLS);
+      for (const [dx, dy, stepCost] of NEIGHBORS) {
+        const nextCol = col + dx;
+        const nextRow = row + dy;
+        if (!this.isWalkable(nextCol, nextRow)) continue;
+        // No cutting corners: a diagonal step needs both tiles beside it free
+        if (dx !== 0 && dy !== 0 && (!this.isWalkable(col + dx, row) || !this.isWalkable(col, row + dy))) continue;
+
+        const next = nextRow * MAP_COLS + nextCol;
+        const cost = costs.get(current) + stepCost;
+        if (closed.has(next) || cost >= (costs.get(next) ?? Infinity)) continue;
+        costs.set(next, cost);
+        cameFrom.set(next, current);
+        open.push(next, cost + octile(nextCol - goalCol, nextRow - goalRow) * TIE_BREAK);
+      }
+    }
+    return null;
+  }
+
+  buildPath(cameFrom, end) {
+    const path = [];
+    for (let node = end; cameFrom.has(node); node = cameFrom.get(node)) {
+      path.push(tileCenter(node % MAP_COLS, Math.floor(node / MAP_COLS)));
+    }
+    return path.reverse();
+  }
+
+  // Point an agent should head for to reach (targetX, targetY): the target itself when
+  // it is in plain sight, otherwise the next corner of a planned route. The route lives
+  // on `agent.route` and is planned again when the map changes or the target wanders
+  // off. Returns null when the target can't be reached.
+  steer(agent, targetX, targetY) {
+    this.sync();
+    if (this.hasLineOfSight(agent.x, agent.y, targetX, targetY)) {
+      agent.route = null;
+      return { x: targetX, y: targetY };
+    }
+
+    const goal = toTile(targetX, targetY);
+    let { route } = agent;
+    const stale = !route
+      || route.revision !== this.revision
+      || Math.max(Math.abs(route.goal.col - goal.col), Math.abs(route.goal.row - goal.row)) >= REPLAN_GOAL_TILES
+      || route.waypoints.length === 0;
+    if (stale) {
+      const waypoints = this.findPath(agent.x, agent.y, targetX, targetY);
+      if (!waypoints) {
+        agent.route = null;
+        return null;
+      }
+      route = { revision: this.revision, goal, waypoints };
+      agent.route = route;
+    }
+
+    // Drop corners already reached, and skip ahead to the furthest one in sight
+    const { waypoints } = route;
+    while (waypoints.length > 1 && Math.hypot(waypoints[0].x - agent.x, waypoints[0].y - agent.y) < WAYPOINT_REACHED) {
+      waypoints.shift();
+    }
+    while (waypoints.length > 1 && this.hasLineOfSight(agent.x, agent.y, waypoints[1].x, waypoints[1].y)) {
+      waypoints.shift();
+    }
+    return waypoints[0] || { x: targetX, y: targetY };
+  }
+}
@@ -0,0 +1,57 @@
+// Pet roster shared by the server and the browser. Every player owns a list of pets
+// ({ type, behavior }), saved with the player; while the owner is connected each pet
+// is a follower in the room that moves by its behavior.
+
+export const PET_TYPES = {
+  buggy: { name: 'Buggy', sprite: 'buggy', speed: 110 },
+  dachshund: { name: 'Sosis', sprite: 'dachshund', speed: 130 },
+};
+
+export const PET_BEHAVIORS = {
+  FOLLOW: 'follow', // Trails the owner
+  WANDER: 'wander', // Sniffs around near the owner, catching up when left behind
+  SIT_BESIDE: 'sit_beside', // Follows, and lies down next to the owner's seat while they sit
+  VISIT: 'visit', // Runs to the other player, or follows the owner when nobody else is here
+};
+
+// Menu labels, in the order the pet panel lists them
+export const PET_BEHAVIOR_NAMES = {
+  [PET_BEHAVIORS.FOLLOW]: 'Takip',
+  [PET_BEHAVIORS.WANDER]: 'Gezin',
+  [PET_BEHAVIORS.SIT_BESIDE]: 'Yanımda otur',
+  [PET_BEHAVIORS.VISIT]: 'Ötekine koş',
+};
+
+// What a player without saved pets starts with
+export const DEFAULT_PETS = [{ type: 'buggy', behavior: PET_BEHAVIORS.FOLLOW }];
+
+export function isPetType(type) {
+  return typeof type === 'string' && Object.hasOwn(PET_TYPES, type);
+}
+
+export function isPetBehavior(behavior) {
+  return Object.values(PET_BEHAVIORS).includes(behavior);
+}
+
+// Coerce a saved pet list: known types only, one pet per type, unknown behaviors follow
+export function normalizePets(raw) {
+  if (!Array.isArray(raw)) {
+    return DEFAULT_PETS.map((pet) => ({ ...pet }));
+  }
+  const pets = [];
+  raw.forEach((pet) => {
+    if (!isPetType(pet?.type) || pets.some((other) => other.type === pet.type)) {
+      return;
+    }
+    pets.push({
+      type: pet.type,
+      behavior: isPetBehavior(pet.behavior) ? pet.behavior : PET_BEHAVIORS.FOLLOW,
+    });
+  });
+  return pets;
+}
+
+// Follower id of a player's pet
+export function getPetId(ownerId, type) {
+  return `pet_${ownerId}_${type}`;
+}
@@ -0,0 +1,292 @@
+// Wire protocol shared by the browser and the server: message types, error codes
+// and the field schema of every message. Each side validates what it receives.
+
+export const MESSAGE_TYPES = {
+  // Client -> Server
+  JOIN: 'join',
+  INPUT: 'input',
+  DISCONNECT: 'disconnect',
+  RESET_POSITION: 'reset_position',
+  PLACE_COLLIDER: 'place_collider',
+  REMOVE_COLLIDER: 'remove_collider',
+  PLACE_COLLIDERS: 'place_colliders',
+  REMOVE_COLLIDERS: 'remove_colliders',
+  PLACE_OBJECT: 'place_object',
+  REMOVE_OBJECT: 'remove_object',
+  HUG: 'hug',
+  SIT: 'sit',
+  STAND: 'stand',
+  SET_PET: 'set_pet',
+  TALK: 'talk',
+  SET_APPEARANCE: 'set_appearance',
+  SET_ROLE: 'set_role',
+  STATE_ACK: 'state_ack',
+  UNDO: 'undo',
+  REDO: 'redo',
+
+  // Server -> Client
+  WELCOME: 'welcome',
+  STATE_UPDATE: 'state_update',
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_LEFT: 'player_left',
+  COLLIDER_PLACED: 'collider_placed',
+  COLLIDER_REMOVED: 'collider_removed',
+  COLLIDERS_PLACED: 'colliders_placed',
+  COLLIDERS_REMOVED: 'colliders_removed',
+  OBJECT_PLACED: 'object_placed',
+  OBJECT_REMOVED: 'object_removed',
+  HUG_STARTED: 'hug_started',
+  HUG_ENDED: 'hug_ended',
+  ROLE_CHANGED: 'role_changed',
+  SEAT_CHANGED: 'seat_changed',
+  NPC_SAID: 'npc_said',
+  APPEARANCE_CHANGED: 'appearance_changed',
+  ERROR: 'error',
+};
+
+// Machine-readable `code` sent with some error messages
+export const ERROR_CODES = {
+  AUTH_FAILED: 'auth_failed', // Login or session token rejected; sign in again
+  NOT_JOINED: 'not_joined', // Sent before this connection's join succeeded
+  SESSION_REPLACED: 'session_replaced', // Same account joined from another connection
+  FORBIDDEN: 'forbidden', // The player's role doesn't allow this message
+  INVALID_EDIT: 'invalid_edit', // A collider or object edit was rejected (bounds, overlap, bad data)
+  INVALID_MESSAGE: 'invalid_message', // The message failed its schema; `field` names the bad field
+};
+
+// Most tiles one place_colliders/remove_colliders message may carry
+export const MAX_COLLIDER_BATCH = 4096;
+
+// Field specs. Every field is required unless `optional`; `nullable` also allows null.
+// Objects may carry fields their schema doesn't list, so either side can add fields first.
+const string = (options = {}) => ({ type: 'string', maxLength: 256, ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const optional = (spec) => ({ ...spec, optional: true });
+
+const tile = object({ col: integer(), row: integer() });
+const entity = object({ id: string() });
+// Which parts and swatches exist is up to the sprite manifest (shared/appearance.js)
+const appearance = object({
+  body: string({ maxLength: 32 }),
+  // Required layers; null only when no part fits the body
+  outfit: string({ nullable: true, maxLength: 32 }),
+  hair: string({ nullable: true, maxLength: 32 }),
+  accessory: optional(string({ nullable: true, maxLength: 32 })),
+  colors: optional(object({}, { values: string({ maxLength: 16 }), maxKeys: 16 })),
+});
+
+const CLIENT_MESSAGES = {
+  [MESSAGE_TYPES.JOIN]: {
+    name: optional(string({ nullable: true })),
+    passphrase: optional(string({ nullable: true })),
+    token: optional(string({ nullable: true })),
+    character: optional(string({ nullable: true, maxLength: 16 })),
+    room: optional(string({ nullable: true, maxLength: 64 })),
+    binary: optional(integer({ min: 1 })),
+  },
+  [MESSAGE_TYPES.INPUT]: {
+    input: object({
+      // Pressed state per key name
+      keys: object({}, { values: boolean(), maxKeys: 16 }),
+      seq: integer({ min: 0 }),
+      timestamp: optional(number()),
+    }),
+  },
+  [MESSAGE_TYPES.STATE_ACK]: { tick: integer({ min: 0 }) },
+  [MESSAGE_TYPES.DISCONNECT]: {},
+  [MESSAGE_TYPES.RESET_POSITION]: {},
+  [MESSAGE_TYPES.PLACE_COLLIDER]: { col: integer(), row: integer() },
+  [MESSAGE_TYPES.REMOVE_COLLIDER]: { col: integer(), row: integer() },
+  [MESSAGE_TYPES.PLACE_COLLIDERS]: { tiles: array(tile, { minItems: 1, maxItems: MAX_COLLIDER_BATCH }) },
+  [MESSAGE_TYPES.REMOVE_COLLIDERS]: { tiles: array(tile, { minItems: 1, maxItems: MAX_COLLIDER_BATCH }) },
+  [MESSAGE_TYPES.PLACE_OBJECT]: {
+    x: optional(number()),
+    y: optional(number()),
+    col: optional(integer()),
+    row: optional(integer()),
+    imageSrc: optional(string({ maxLength: 2048 })),
+    text: optional(string({ maxLength: 2048 })),
+    width: optional(number({ min: 1 })),
+    height: optional(number({ min: 1 })),
+    furniture: optional(string({ maxLength: 32 })), // A FURNITURE_TYPES key; size comes from the type
+  },
+  [MESSAGE_TYPES.REMOVE_OBJECT]: {
+    id: optional(string()),
+    x: optional(number()),
+    y: optional(number()),
+    col: optional(integer()),
+    row: optional(integer()),
+  },
+  [MESSAGE_TYPES.HUG]: {},
+  // Furniture to sit on (the nearest one when left out) and which of its seats (the first free one)
+  [MESSAGE_TYPES.SIT]: { objectId: optional(string()), seat: optional(string()) },
+  [MESSAGE_TYPES.STAND]: {},
+  [MESSAGE_TYPES.TALK]: { npcId: optional(string()) }, // NPC to talk to; the nearest one when left out
+  [MESSAGE_TYPES.SET_APPEARANCE]: { appearance },
+  // Adopt a pet of type `pet` or change its behavior; a null behavior lets it go
+  [MESSAGE_TYPES.SET_PET]: { pet: string({ maxLength: 32 }), behavior: string({ nullable: true, maxLength: 32 }) },
+  [MESSAGE_TYPES.SET_ROLE]: { playerId: string(), role: string() },
+  [MESSAGE_TYPES.UNDO]: {},
+  [MESSAGE_TYPES.REDO]: {},
+};
+
+const SERVER_MESSAGES = {
+  [MESSAGE_TYPES.WELCOME]: {
+    playerId: string(),
+    roomId: string(),
+    name: string(),
+    role: string(),
+    sessionToken: optional(string({ nullable: true })),
+    binary: optional(boolean()),
+    gameState: object({
+      tick: integer({ min: 0 }),
+      players: array(entity),
+      followers: array(entity),
+      npcs: optional(array(entity)),
+      objects: array(entity),
+      colliders: array(tile),
+    }),
+  },
+  [MESSAGE_TYPES.STATE_UPDATE]: {
+    tick: integer({ min: 0 }),
+    timestamp: number(),
+    keyframe: boolean(),
+    baseTick: optional(integer({ min: 0 })),
+    players: optional(array(entity)),
+    removedPlayers: optional(array(string())),
+    followers: optional(array(entity)),
+    removedFollowers: optional(array(string())),
+    npcs: optional(array(entity)),
+    removedNpcs: optional(array(string())),
+  },
+  [MESSAGE_TYPES.PLAYER_JOINED]: { player: object({ id: string(), name: string() }) },
+  [MESSAGE_TYPES.PLAYER_LEFT]: { playerId: string() },
+  [MESSAGE_TYPES.COLLIDER_PLACED]: { collider: tile },
+  [MESSAGE_TYPES.COLLIDER_REMOVED]: { collider: tile },
+  [MESSAGE_TYPES.COLLIDERS_PLACED]: { colliders: array(tile) },
+  [MESSAGE_TYPES.COLLIDERS_REMOVED]: { colliders: array(tile) },
+  [MESSAGE_TYPES.OBJECT_PLACED]: { object: object({ id: string(), x: number(), y: number() }) },
+  [MESSAGE_TYPES.OBJECT_REMOVED]: { objectId: string() },
+  [MESSAGE_TYPES.HUG_STARTED]: { playerId1: string(), playerId2: string() },
+  [MESSAGE_TYPES.HUG_ENDED]: { playerId: string() },
+  [MESSAGE_TYPES.ROLE_CHANGED]: { playerId: string(), role: string() },
+  [MESSAGE_TYPES.NPC_SAID]: { npcId: string(), name: string(), line: string({ maxLength: 1024 }) },
+  [MESSAGE_TYPES.APPEARANCE_CHANGED]: { playerId: string(), character: string(), appearance: { ...appearance, nullable: true } },
+  // `seat` is null once the player stands up or leaves
+  [MESSAGE_TYPES.SEAT_CHANGED]: {
+    playerId: string(),
+    seat: object({ objectId: string(), name: string(), pose: string(), facing: string() }, { nullable: true }),
+  },
+  [MESSAGE_TYPES.ERROR]: {
+    error: string({ maxLength: 1024 }),
+    code: optional(string()),
+    field: optional(string()),
+  },
+};
+
+function describe(spec) {
+  return spec.type === 'integer' || spec.type === 'array' || spec.type === 'object'
+    ? `an ${spec.type}`
+    : `a ${spec.type}`;
+}
+
+// Returns { field, reason } for the first part of `value` that doesn't match `spec`, or null
+function checkValue(value, spec, path) {
+  if (value === null && spec.nullable) {
+    return null;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return { field: path, reason: `must be ${describe(spec)}` };
+      if (value.length > spec.maxLength) return { field: path, reason: `must be at most ${spec.maxLength} characters` };
+      return null;
+
+    case 'integer':
+    case 'number': {
+      const valid = spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      if (!valid) return { field: path, reason: `must be ${describe(spec)}` };
+      if (spec.min !== undefined && value < spec.min) return { field: path, reason: `must be at least ${spec.min}` };
+      return null;
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : { field: path, reason: `must be ${describe(spec)}` };
+
+    case 'array': {
+      if (!Array.isArray(value)) return { field: path, reason: `must be ${describe(spec)}` };
+      if (spec.minItems !== undefined && value.length < spec.minItems) {
+        return { field: path, reason: `must have at least ${spec.minItems} item(s)` };
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        return { field: path, reason: `must have at most ${spec.maxItems} items` };
+      }
+      for (let i = 0; i < value.length; i++) {
+        const problem = checkValue(value[i], spec.items, `${path}[${i}]`);
+        if (problem) return problem;
+      }
+      return null;
+    }
+
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { field: path, reason: `must be ${describe(spec)}` };
+      }
+      return checkFields(value, spec, path);
+
+    default:
+      return null;
+  }
+}
+
+function checkFields(value, spec, path) {
+  const prefix = path ? `${path}.` : '';
+  for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+    if (value[name] === undefined) {
+      if (!fieldSpec.optional) return { field: `${prefix}${name}`, reason: 'is required' };
+      continue;
+    }
+    const problem = checkValue(value[name], fieldSpec, `${prefix}${name}`);
+    if (problem) return problem;
+  }
+  // Map-like objects (e.g. input keys) check every value against one spec
+  if (spec.values) {
+    const entries = Object.entries(value);
+    if (spec.maxKeys !== undefined && entries.length > spec.maxKeys) {
+      return { field: path, reason: `must have at most ${spec.maxKeys} keys` };
+    }
+    for (const [name, entry] of entries) {
+      const problem = checkValue(entry, spec.values, `${prefix}${name}`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+function validate(message, schemas) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { field: 'type', reason: 'must be a JSON object', message: 'Message must be a JSON object' };
+  }
+  const fields = Object.hasOwn(schemas, message.type) ? schemas[message.type] : null;
+  if (!fields) {
+    return { field: 'type', reason: 'is not a known message type', message: `Unknown message type: ${message.type}` };
+  }
+  const problem = checkFields(message, { fields }, '');
+  if (!problem) {
+    return null;
+  }
+  return { ...problem, message: `Invalid ${message.type} message: "${problem.field}" ${problem.reason}` };
+}
+
+// Each returns null for a valid message, or { field, reason, message } naming the first bad field
+export function validateClientMessage(message) {
+  return validate(message, CLIENT_MESSAGES);
+}
+
+export function validateServerMessage(message) {
+  return validate(message, SERVER_MESSAGES);
+}
@@ -0,0 +1,219 @@
+// The sprite manifest (public/assets/sprites.json) lists every image the client loads
+// and how character and follower sheets animate. The browser reads it to draw, the
+// server to know which characters a player may pick; both go through
+// validateSpriteManifest, which keeps the valid entries and reports the rest.
+//
+// The optional `appearance` section holds the layered parts the character creator
+// combines (see shared/appearance.js): recolorable palettes, body sheets, and parts
+// per layer with one sheet for every body they fit. A part's sheet reuses its body's
+// frame size and timing, so it only names an image per animation.
+
+export const ANIMATION_MODES = {
+  LOOP: 'loop', // Repeats while the animation plays
+  ONCE: 'once', // Plays through once and holds the last frame
+};
+
+export const DEFAULT_CHARACTER = '1';
+
+// Animations a sheet can't be drawn without; the others fall back to idle
+const REQUIRED_ANIMATIONS = {
+  characters: ['idle', 'walk'],
+  followers: ['idle'],
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+export function isHexColor(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+// Returns { animation } or { problem } with the { field, reason } shape protocol.js uses
+function checkAnimation(raw, path) {
+  if (!isObject(raw)) return { problem: { field: path, reason: 'must be an object' } };
+  if (!isNonEmptyString(raw.src)) return { problem: { field: `${path}.src`, reason: 'must be an image path' } };
+  if (!isPositiveInteger(raw.frames)) return { problem: { field: `${path}.frames`, reason: 'must be a positive integer' } };
+  if (!Number.isFinite(raw.frameDuration) || raw.frameDuration <= 0) {
+    return { problem: { field: `${path}.frameDuration`, reason: 'must be a positive number of milliseconds' } };
+  }
+  const mode = raw.mode ?? ANIMATION_MODES.LOOP;
+  if (!Object.values(ANIMATION_MODES).includes(mode)) {
+    return { problem: { field: `${path}.mode`, reason: `must be one of ${Object.values(ANIMATION_MODES).join(', ')}` } };
+  }
+  return { animation: { src: raw.src, frames: raw.frames, frameDuration: raw.frameDuration, mode } };
+}
+
+// Returns { sheet } or { problem }; a sheet with any bad animation is left out whole
+function checkSheet(raw, path, required) {
+  if (!isObject(raw)) return { problem: { field: path, reason: 'must be an object' } };
+  for (const key of ['frameWidth', 'frameHeight']) {
+    if (!isPositiveInteger(raw[key])) return { problem: { field: `${path}.${key}`, reason: 'must be a positive integer' } };
+  }
+  if (raw.name !== undefined && !isNonEmptyString(raw.name)) {
+    return { problem: { field: `${path}.name`, reason: 'must be a non-empty string' } };
+  }
+  if (!isObject(raw.animations)) return { problem: { field: `${path}.animations`, reason: 'must be an object' } };
+  const missing = required.find((name) => !Object.hasOwn(raw.animations, name));
+  if (missing) return { problem: { field: `${path}.animations.${missing}`, reason: 'is required' } };
+
+  const animations = {};
+  for (const [name, rawAnimation] of Object.entries(raw.animations)) {
+    const { animation, problem } = checkAnimation(rawAnimation, `${path}.animations.${name}`);
+    if (problem) return { problem };
+    animations[name] = animation;
+  }
+  return {
+    sheet: {
+      ...(raw.name !== undefined && { name: raw.name }),
+      frameWidth: raw.frameWidth,
+      frameHeight: raw.frameHeight,
+      animations,
+    },
+  };
+}
+
+// Returns { palette } or { problem }: slot -> the source color recolored for that slot
+function checkPalette(raw, path, palettes) {
+  if (!isObject(raw)) return { problem: { field: path, reason: 'must be an object' } };
+  for (const [slot, color] of Object.entries(raw)) {
+    if (!Object.hasOwn(palettes, slot)) return { problem: { field: `${path}.${slot}`, reason: 'is not a palette' } };
+    if (!isHexColor(color)) return { problem: { field: `${path}.${slot}`, reason: 'must be a #rrggbb color' } };
+  }
+  return { palette: { ...raw } };
+}
+
+// Returns { part } or { problem }; a part keeps only the bodies its sheets are valid for
+function checkPart(raw, path, bodies, palettes, problems) {
+  if (!isObject(raw)) return { problem: { field: path, reason: 'must be an object' } };
+  if (!isNonEmptyString(raw.name)) return { problem: { field: `${path}.name`, reason: 'must be a non-empty string' } };
+  if (!isObject(raw.bodies)) return { problem: { field: `${path}.bodies`, reason: 'must be an object' } };
+
+  const partBodies = {};
+  Object.entries(raw.bodies).forEach(([bodyId, rawSheet]) => {
+    const sheetPath = `${path}.bodies.${bodyId}`;
+    if (!Object.hasOwn(bodies, bodyId)) {
+      problems.push({ field: sheetPath, reason: 'is not a body' });
+      return;
+    }
+    if (!isObject(rawSheet) || !isObject(rawSheet.animations)) {
+      problems.push({ field: `${sheetPath}.animations`, reason: 'must be an object' });
+      return;
+    }
+    const { palette, problem } = checkPalette(rawSheet.palette ?? {}, `${sheetPath}.palette`, palettes);
+    const badAnimation = Object.entries(rawSheet.animations).find(([name, src]) =>
+      !Object.hasOwn(bodies[bodyId].animations, name) || !isNonEmptyString(src));
+    if (problem) {
+      problems.push(problem);
+    } else if (badAnimation) {
+      problems.push({ field: `${sheetPath}.animations.${badAnimation[0]}`, reason: 'must be an image path for an animation of the body' });
+    } else {
+      partBodies[bodyId] = { palette, animations: { ...rawSheet.animations } };
+    }
+  });
+  return { part: { name: raw.name, bodies: partBodies } };
+}
+
+// The `appearance` section, with only its valid palettes, bodies and parts
+function checkAppearance(raw, problems) {
+  const appearance = { palettes: {}, bodies: {}, parts: {} };
+  if (!isObject(raw)) {
+    problems.push({ field: 'appearance', reason: 'must be an object' });
+    return appearance;
+  }
+
+  Object.entries(isObject(raw.palettes) ? raw.palettes : {}).forEach(([slot, palette]) => {
+    const path = `appearance.palettes.${slot}`;
+    if (!isObject(palette) || !isNonEmptyString(palette.name)) {
+      problems.push({ field: `${path}.name`, reason: 'must be a non-empty string' });
+    } else if (!Array.isArray(palette.colors) || palette.colors.length === 0 || !palette.colors.every(isHexColor)) {
+      problems.push({ field: `${path}.colors`, reason: 'must be a list of #rrggbb colors' });
+    } else {
+      appearance.palettes[slot] = { name: palette.name, colors: palette.colors.map((color) => color.toLowerCase()) };
+    }
+  });
+
+  Object.entries(isObject(raw.bodies) ? raw.bodies : {}).forEach(([id, rawBody]) => {
+    const path = `appearance.bodies.${id}`;
+    const { sheet, problem } = checkSheet(rawBody, path, REQUIRED_ANIMATIONS.characters);
+    const palette = problem ? null : checkPalette(rawBody.palette ?? {}, `${path}.palette`, appearance.palettes);
+    if (problem || palette.problem) {
+      problems.push(problem || palette.problem);
+    } else {
+      appearance.bodies[id] = { ...sheet, palette: palette.palette };
+    }
+  });
+
+  Object.entries(isObject(raw.parts) ? raw.parts : {}).forEach(([layer, parts]) => {
+    appearance.parts[layer] = {};
+    Object.entries(isObject(parts) ? parts : {}).forEach(([id, rawPart]) => {
+      const path = `appearance.parts.${layer}.${id}`;
+      const { part, problem } = checkPart(rawPart, path, appearance.bodies, appearance.palettes, problems);
+      if (problem) {
+        problems.push(problem);
+      } else {
+        appearance.parts[layer][id] = part;
+      }
+    });
+  });
+  return appearance;
+}
+
+// Returns { manifest, problems }: the manifest with only its valid images and sheets,
+// and a { field, reason } for everything that was left out
+export function validateSpriteManifest(raw) {
+  const manifest = {
+    images: {},
+    characters: {},
+    followers: {},
+    appearance: { palettes: {}, bodies: {}, parts: {} },
+  };
+  const problems = [];
+  if (!isObject(raw)) {
+    problems.push({ field: 'manifest', reason: 'must be an object' });
+    return { manifest, problems };
+  }
+
+  if (raw.images !== undefined && !isObject(raw.images)) {
+    problems.push({ field: 'images', reason: 'must be an object' });
+  }
+  Object.entries(isObject(raw.images) ? raw.images : {}).forEach(([name, src]) => {
+    if (isNonEmptyString(src)) {
+      manifest.images[name] = src;
+    } else {
+      problems.push({ field: `images.${name}`, reason: 'must be an image path' });
+    }
+  });
+
+  Object.entries(REQUIRED_ANIMATIONS).forEach(([group, required]) => {
+    if (raw[group] !== undefined && !isObject(raw[group])) {
+      problems.push({ field: group, reason: 'must be an object' });
+      return;
+    }
+    Object.entries(raw[group] || {}).forEach(([id, rawSheet]) => {
+      const { sheet, problem } = checkSheet(rawSheet, `${group}.${id}`, required);
+      if (problem) {
+        problems.push(problem);
+      } else {
+        manifest[group][id] = sheet;
+      }
+    });
+  });
+
+  if (raw.appearance !== undefined) {
+    manifest.appearance = checkAppearance(raw.appearance, problems);
+  }
+
+  if (!Object.hasOwn(manifest.characters, DEFAULT_CHARACTER)) {
+    problems.push({ field: `characters.${DEFAULT_CHARACTER}`, reason: 'is required as the default character' });
+  }
+  return { manifest, problems };
+}
@@ -0,0 +1,398 @@
+// World map and collision rules shared by the server simulation and the browser
+// (prediction, editor tools). Both sides build the same collision map from the
+// same edits, so they always agree on what is solid.
+
+import { getFurnitureType, getFurnitureCollider } from './furniture.js';
+
+export const COLLIDER_TILE_SIZE = 16;
+export const OBJECT_WIDTH_PX = 48;
+export const OBJECT_HEIGHT_PX = 72;
+
+const MAP_WIDTH_TILES = 240;
+const MAP_HEIGHT_TILES = 180;
+
+// Side of one spatial index cell; most objects cover one to four cells
+const SPATIAL_CELL_SIZE = 128;
+
+// Each room owns its own collision map so edits in one world never leak into another
+export function createCollisionMap() {
+  return {
+    dynamicColliders: new Set(),
+    objectColliders: new Map(),
+    spatialIndex: new Map(), // cell key -> Set of object colliders touching the cell
+    revision: 0, // Bumped by every change (not by no-op edits), so caches built on the map know when to rebuild
+  };
+}
+
+function boxBounds(box) {
+  return { left: box.left, top: box.top, right: box.left + box.width, bottom: box.top + box.height };
+}
+
+function boxContains(box, x, y) {
+  return x >= box.left && x <= box.left + box.width && y >= box.top && y <= box.top + box.height;
+}
+
+function boundsOverlap(a, b) {
+  return a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+}
+
+// Footprint of a placed object: centered on x, standing on y
+export function getObjectBounds(object) {
+  const width = Number.isFinite(object.width) ? object.width : OBJECT_WIDTH_PX;
+  const height = Number.isFinite(object.height) ? object.height : OBJECT_HEIGHT_PX;
+  return {
+    left: object.x - width / 2,
+    right: object.x + width / 2,
+    top: object.y - height,
+    bottom: object.y,
+    width,
+    height,
+  };
+}
+
+function forEachCellKey(bounds, callback) {
+  const minCol = Math.floor(bounds.left / SPATIAL_CELL_SIZE);
+  const maxCol = Math.floor(bounds.right / SPATIAL_CELL_SIZE);
+  const minRow = Math.floor(bounds.top / SPATIAL_CELL_SIZE);
+  const maxRow = Math.floor(bounds.bottom / SPATIAL_CELL_SIZE);
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      callback(`${col},${row}`);
+    }
+  }
+}
+
+// Colliders are indexed by `bounds`, which covers their collision box and the whole
+// object footprint so overlap and click lookups can use the index too
+function indexCollider(collisionMap, collider) {
+  forEachCellKey(collider.bounds, (key) => {
+    let cell = collisionMap.spatialIndex.get(key);
+    if (!cell) {
+      cell = new Set();
+      collisionMap.spatialIndex.set(key, cell);
+    }
+    cell.add(collider);
+  });
+}
+
+function unindexCollider(collisionMap, collider) {
+  forEachCellKey(collider.bounds, (key) => {
+    const cell = collisionMap.spatialIndex.get(key);
+    if (cell) {
+      cell.delete(collider);
+      if (cell.size === 0) {
+        collisionMap.spatialIndex.delete(key);
+      }
+    }
+  });
+}
+
+// Distinct colliders in the cells `bounds` touches; callers still test the exact shape
+function queryColliders(collisionMap, bounds) {
+  const found = new Set();
+  forEachCellKey(bounds, (key) => {
+    collisionMap.spatialIndex.get(key)?.forEach((collider) => found.add(collider));
+  });
+  return found;
+}
+
+function queryPoint(collisionMap, x, y) {
+  const key = `${Math.floor(x / SPATIAL_CELL_SIZE)},${Math.floor(y / SPATIAL_CELL_SIZE)}`;
+  return collisionMap.spatialIndex.get(key) || [];
+}
+
+function tileKey(col, row) {
+  return `${col},${row}`;
+}
+
+function toTileCoords(worldX, worldY) {
+  return {
+    col: Math.floor(worldX / COLLIDER_TILE_SIZE),
+    row: Math.floor(worldY / COLLIDER_TILE_SIZE),
+  };
+}
+
+const TOP_BOTTOM_ROW = '#'.repeat(MAP_WIDTH_TILES);
+const MIDDLE_ROW = `#${'G'.repeat(MAP_WIDTH_TILES - 2)}#`;
+
+export const WORLD_MAP = [
+  TOP_BOTTOM_ROW,
+  ...Array.from({ length: MAP_HEIGHT_TILES - 2 }, () => MIDDLE_ROW),
+  TOP_BOTTOM_ROW,
+];
+
+export const MAP_ROWS = WORLD_MAP.length;
+export const MAP_COLS = WORLD_MAP[0].length;
+export const WORLD_WIDTH = MAP_COLS * COLLIDER_TILE_SIZE;
+export const WORLD_HEIGHT = MAP_ROWS * COLLIDER_TILE_SIZE;
+
+// `sprite` and `color` are only used by the renderer
+export const TILE_DEFINITIONS = {
+  '#': {
+    name: 'Fence',
+    sprite: 'fence_bottom',
+    color: 'rgba(0, 0, 0, 0)',
+    collidable: false,
+  },
+  G: {
+    name: 'Grass',
+    sprite: 'grass_green',
+    color: 'rgba(0, 0, 0, 0)',
+    collidable: false,
+  },
+};
+
+export const DEFAULT_TILE = {
+  name: 'Void',
+  sprite: null,
+  color: 'transparent',
+  collidable: false,
+};
+
+export function addColliderTile(collisionMap, col, row) {
+  if (col < 0 || col >= MAP_COLS || row < 0 || row >= MAP_ROWS) {
+    return false;
+  }
+  const key = tileKey(col, row);
+  if (!collisionMap.dynamicColliders.has(key)) {
+    collisionMap.dynamicColliders.add(key);
+    collisionMap.revision++;
+  }
+  return true;
+}
+
+export function removeColliderTile(collisionMap, col, row) {
+  const removed = collisionMap.dynamicColliders.delete(tileKey(col, row));
+  if (removed) {
+    collisionMap.revision++;
+  }
+  return removed;
+}
+
+function isTileInBounds(tile) {
+  return Number.isInteger(tile?.col) && Number.isInteger(tile?.row)
+    && tile.col >= 0 && tile.col < MAP_COLS && tile.row >= 0 && tile.row < MAP_ROWS;
+}
+
+// Batch edits are all-or-nothing: every tile is checked before any is changed.
+// They return the tiles that actually changed (duplicates and no-ops dropped),
+// or null when any tile is invalid and nothing was applied.
+export function addColliderTiles(collisionMap, tiles) {
+  if (!tiles.every(isTileInBounds)) {
+    return null;
+  }
+  const added = [];
+  tiles.forEach(({ col, row }) => {
+    const key = tileKey(col, row);
+    if (!collisionMap.dynamicColliders.has(key)) {
+      collisionMap.dynamicColliders.add(key);
+      added.push({ col, row });
+    }
+  });
+  if (added.length > 0) {
+    collisionMap.revision++;
+  }
+  return added;
+}
+
+export function removeColliderTiles(collisionMap, tiles) {
+  if (!tiles.every(isTileInBounds)) {
+    return null;
+  }
+  const removed = [];
+  tiles.forEach(({ col, row }) => {
+    if (collisionMap.dynamicColliders.delete(tileKey(col, row))) {
+      removed.push({ col, row });
+    }
+  });
+  if (removed.length > 0) {
+    collisionMap.revision++;
+  }
+  return removed;
+}
+
+export function setColliders(collisionMap, colliders = []) {
+  const next = new Set();
+  colliders.forEach(({ col, row }) => {
+    if (Number.isInteger(col) && Number.isInteger(row)) {
+      if (col >= 0 && col < MAP_COLS && row >= 0 && row < MAP_ROWS) {
+        next.add(tileKey(col, row));
+      }
+    }
+  });
+  const current = collisionMap.dynamicColliders;
+  if (next.size === current.size && Array.from(next).every((key) => current.has(key))) {
+    return;
+  }
+  collisionMap.dynamicColliders = next;
+  collisionMap.revision++;
+}
+
+export function hasColliderTile(collisionMap, col, row) {
+  return collisionMap.dynamicColliders.has(tileKey(col, row));
+}
+
+export function getColliders(collisionMap) {
+  return Array.from(collisionMap.dynamicColliders.values()).map((key) => {
+    const [col, row] = key.split(',').map(Number);
+    return { col, row };
+  });
+}
+
+export function clearObjectColliders(collisionMap) {
+  if (collisionMap.objectColliders.size === 0) {
+    return;
+  }
+  collisionMap.objectColliders.forEach((collider) => unindexCollider(collisionMap, collider));
+  collisionMap.objectColliders.clear();
+  collisionMap.revision++;
+}
+
+export function addObjectCollider(collisionMap, object) {
+  if (!object || !object.id) {
+    return;
+  }
+  const centerX = Number(object.x);
+  const baseY = Number(object.y);
+  if (!Number.isFinite(centerX) || !Number.isFinite(baseY)) {
+    return;
+  }
+  const placed = { ...object, x: centerX, y: baseY };
+  const footprint = getObjectBounds(placed);
+  let box;
+  if (getFurnitureType(placed)) {
+    box = getFurnitureCollider(placed);
+  } else {
+    // Reduce collision box size (70% of visual size)
+    const collisionScale = 0.6;
+    const collisionWidth = footprint.width * collisionScale;
+    const collisionHeight = footprint.height * collisionScale;
+    box = {
+      left: centerX - collisionWidth / 2,
+      top: baseY - collisionHeight, // Keep bottom aligned with visual object
+      width: collisionWidth,
+      height: collisionHeight,
+    };
+  }
+
+  const boxEdges = boxBounds(box);
+  const collider = {
+    id: object.id,
+    ...box,
+    bounds: {
+      left: Math.min(footprint.left, boxEdges.left),
+      top: Math.min(footprint.top, boxEdges.top),
+      right: Math.max(footprint.right, boxEdges.right),
+      bottom: Math.max(footprint.bottom, boxEdges.bottom),
+    },
+  };
+  // Re-adding an object that hasn't moved or changed size leaves the map as it is
+  const existing = collisionMap.objectColliders.get(object.id);
+  if (existing
+    && ['left', 'top', 'width', 'height'].every((key) => existing[key] === collider[key])
+    && ['left', 'top', 'right', 'bottom'].every((key) => existing.bounds[key] === collider.bounds[key])) {
+    return;
+  }
+
+  removeObjectCollider(collisionMap, object.id);
+  collisionMap.objectColliders.set(object.id, collider);
+  indexCollider(collisionMap, collider);
+  collisionMap.revision++;
+}
+
+export function removeObjectCollider(collisionMap, id) {
+  const collider = collisionMap.objectColliders.get(id);
+  if (collider) {
+    unindexCollider(collisionMap, collider);
+    collisionMap.objectColliders.delete(id);
+    collisionMap.revision++;
+  }
+}
+
+// Ids of objects whose footprint overlaps `bounds` ({ left, top, right, bottom })
+export function findObjectsInBounds(collisionMap, bounds) {
+  const ids = [];
+  queryColliders(collisionMap, bounds).forEach((collider) => {
+    if (boundsOverlap(collider.bounds, bounds)) {
+      ids.push(collider.id);
+    }
+  });
+  return ids;
+}
+
+// Id of an object whose footprint contains the point, or null
+export function findObjectAt(collisionMap, worldX, worldY) {
+  for (const collider of queryPoint(collisionMap, worldX, worldY)) {
+    const { bounds } = collider;
+    if (
+      worldX >= bounds.left &&
+      worldX <= bounds.right &&
+      worldY >= bounds.top &&
+      worldY <= bounds.bottom
+    ) {
+      return collider.id;
+    }
+  }
+  return null;
+}
+
+export function getTileAt(worldX, worldY) {
+  const { col, row } = toTileCoords(worldX, worldY);
+  if (row < 0 || row >= MAP_ROWS || col < 0 || col >= MAP_COLS) {
+    return null;
+  }
+  return WORLD_MAP[row][col];
+}
+
+export function getTileDefinition(worldX, worldY) {
+  const tileChar = getTileAt(worldX, worldY);
+  if (tileChar === null) {
+    return DEFAULT_TILE;
+  }
+  return TILE_DEFINITIONS[tileChar] || DEFAULT_TILE;
+}
+
+// Solid boxes ({ left, top, right, bottom }) that may touch `bounds`: collider and
+// collidable map tiles plus the collision boxes of objects and furniture
+export function getSolidBoxes(collisionMap, bounds) {
+  const boxes = [];
+  const minCol = Math.max(0, Math.floor(bounds.left / COLLIDER_TILE_SIZE));
+  const maxCol = Math.min(MAP_COLS - 1, Math.floor(bounds.right / COLLIDER_TILE_SIZE));
+  const minRow = Math.max(0, Math.floor(bounds.top / COLLIDER_TILE_SIZE));
+  const maxRow = Math.min(MAP_ROWS - 1, Math.floor(bounds.bottom / COLLIDER_TILE_SIZE));
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      if (hasColliderTile(collisionMap, col, row) || TILE_DEFINITIONS[WORLD_MAP[row][col]]?.collidable) {
+        const left = col * COLLIDER_TILE_SIZE;
+        const top = row * COLLIDER_TILE_SIZE;
+        boxes.push({ left, top, right: left + COLLIDER_TILE_SIZE, bottom: top + COLLIDER_TILE_SIZE });
+      }
+    }
+  }
+  queryColliders(collisionMap, bounds).forEach((collider) => boxes.push(boxBounds(collider)));
+  return boxes;
+}
+
+export function isCollidable(collisionMap, worldX, worldY) {
+  const { col, row } = toTileCoords(worldX, worldY);
+  if (hasColliderTile(collisionMap, col, row)) {
+    return true;
+  }
+  const tileChar = getTileAt(worldX, worldY);
+  if (tileChar === null) {
+    return false;
+  }
+  const definition = TILE_DEFINITIONS[tileChar];
+  if (definition?.collidable) {
+    return true;
+  }
+
+  // Object and furniture colliders near the point
+  for (const collider of queryPoint(collisionMap, worldX, worldY)) {
+    if (boxContains(collider, worldX, worldY)) {
+      return true;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,82 @@
+// Tile shapes for bulk collider painting. Every helper returns { col, row } tiles inside the map.
+
+import { MAP_COLS, MAP_ROWS } from './worldMap.js';
+
+function inMap(col, row) {
+  return col >= 0 && col < MAP_COLS && row >= 0 && row < MAP_ROWS;
+}
+
+// Every tile in the rectangle spanned by two corner tiles
+export function getRectTiles(from, to) {
+  const tiles = [];
+  const minCol = Math.max(0, Math.min(from.col, to.col));
+  const maxCol = Math.min(MAP_COLS - 1, Math.max(from.col, to.col));
+  const minRow = Math.max(0, Math.min(from.row, to.row));
+  const maxRow = Math.min(MAP_ROWS - 1, Math.max(from.row, to.row));
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      tiles.push({ col, row });
+    }
+  }
+  return tiles;
+}
+
+// 4-connected Bresenham line between two tiles, so diagonal fences have no corner gaps
+export function getLineTiles(from, to) {
+  const tiles = [];
+  let col = from.col;
+  let row = from.row;
+  const dCol = Math.abs(to.col - from.col);
+  const dRow = -Math.abs(to.row - from.row);
+  const stepCol = from.col < to.col ? 1 : -1;
+  const stepRow = from.row < to.row ? 1 : -1;
+  let error = dCol + dRow;
+
+  for (;;) {
+    if (inMap(col, row)) {
+      tiles.push({ col, row });
+    }
+    if (col === to.col && row === to.row) {
+      break;
+    }
+    // Step along one axis at a time, never diagonally
+    const doubled = 2 * error;
+    if (doubled - dRow > dCol - doubled) {
+      error += dRow;
+      col += stepCol;
+    } else {
+      error += dCol;
+      row += stepRow;
+    }
+  }
+  return tiles;
+}
+
+// 4-connected region around `start` whose tiles match the start tile's collider state.
+// Returns null when the region has more than `limit` tiles (e.g. an unfenced area).
+export function floodFillTiles(start, hasCollider, limit) {
+  if (!inMap(start.col, start.row)) {
+    return [];
+  }
+  const target = hasCollider(start.col, start.row);
+  const visited = new Set([`${start.col},${start.row}`]);
+  const stack = [start];
+  const tiles = [];
+
+  while (stack.length > 0) {
+    const { col, row } = stack.pop();
+    tiles.push({ col, row });
+    if (tiles.length > limit) {
+      return null;
+    }
+    [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dCol, dRow]) => {
+      const next = { col: col + dCol, row: row + dRow };
+      const key = `${next.col},${next.row}`;
+      if (!visited.has(key) && inMap(next.col, next.row) && hasCollider(next.col, next.row) === target) {
+        visited.add(key);
+        stack.push(next);
+      }
+    });
+  }
+  return tiles;
+}
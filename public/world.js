@@ -1,6 +1,41 @@
 // World state and player management
 
 import { OBJECT_WIDTH_PX, OBJECT_HEIGHT_PX } from './worldMap.js';
+import {
+  createCollisionMap,
+  setColliders,
+  addColliderTile,
+  removeColliderTile,
+  hasColliderTile,
+  getColliders,
+  clearObjectColliders,
+  addObjectCollider,
+  removeObjectCollider,
+  isCollidable,
+  getObjectBounds,
+  findObjectsInBounds,
+  findObjectAt,
+} from './shared/worldMap.js';
+import { InterpolationClock, SnapshotBuffer } from './interpolation.js';
+
+// Received snapshots kept as delta bases; the server never refers back further than our last ack
+const MAX_SNAPSHOTS = 64;
+
+function toEntityMap(entities = []) {
+  return new Map(entities.filter((entity) => entity && entity.id).map((entity) => [entity.id, entity]));
+}
+
+// Apply a delta's changed fields and removals on top of a base snapshot's entities
+function applyEntityDelta(base, changed = [], removed = []) {
+  const entities = new Map(base);
+  changed.forEach((delta) => {
+    if (delta && delta.id) {
+      entities.set(delta.id, { ...entities.get(delta.id), ...delta });
+    }
+  });
+  removed.forEach((id) => entities.delete(id));
+  return entities;
+}
 
 export class World {
   constructor() {
@@ -8,46 +43,60 @@ export class World {
     this.tick = 0;
     this.lastServerTick = 0;
     this.serverTimestamp = 0;
-    this.colliders = new Map();
+    this.collision = createCollisionMap(); // Same collision rules the server moves players with
     this.followers = new Map();
+    this.npcs = new Map();
     this.objects = new Map();
+    this.snapshots = new Map(); // tick -> { players, followers, npcs } as rebuilt from state updates
+    this.clock = new InterpolationClock();
+  }
+
+  // A new session starts its ticks, acks and server clock over
+  clearSnapshots() {
+    this.snapshots.clear();
+    this.clock.reset();
   }
 
-  tileKey(col, row) {
-    return `${col},${row}`;
+  // Server time remote entities are drawn at (see interpolation.js)
+  getRenderTime(now = Date.now()) {
+    return this.clock.getRenderTime(now);
   }
 
   setColliders(colliders = []) {
-    this.colliders.clear();
-    colliders.forEach(({ col, row }) => {
-      if (Number.isFinite(col) && Number.isFinite(row)) {
-        this.colliders.set(this.tileKey(col, row), { col, row });
-      }
-    });
+    setColliders(this.collision, colliders);
   }
 
   addCollider(tile) {
-    if (tile && Number.isFinite(tile.col) && Number.isFinite(tile.row)) {
-      this.colliders.set(this.tileKey(tile.col, tile.row), { col: tile.col, row: tile.row });
+    if (tile) {
+      addColliderTile(this.collision, tile.col, tile.row);
     }
   }
 
   removeCollider(tile) {
-    if (!tile) return;
-    const key = this.tileKey(tile.col, tile.row);
-    this.colliders.delete(key);
+    if (tile) {
+      removeColliderTile(this.collision, tile.col, tile.row);
+    }
+  }
+
+  addColliders(tiles = []) {
+    tiles.forEach((tile) => this.addCollider(tile));
+  }
+
+  removeColliders(tiles = []) {
+    tiles.forEach((tile) => this.removeCollider(tile));
   }
 
   getColliders() {
-    return Array.from(this.colliders.values());
+    return getColliders(this.collision);
   }
 
   hasCollider(col, row) {
-    return this.colliders.has(this.tileKey(col, row));
+    return hasColliderTile(this.collision, col, row);
   }
 
   setObjects(objects = []) {
     this.objects.clear();
+    clearObjectColliders(this.collision);
     objects.forEach((object) => this.addObject(object));
   }
 
@@ -63,51 +112,101 @@ export class World {
       height,
       imageSrc: object.imageSrc || '',
       text: object.text || '',
-      createdAt: object.createdAt || Date.now(),
-      updatedAt: object.updatedAt || Date.now(),
+      furniture: object.furniture || null,
+      createdAt: object.createdAt ?? Date.now(),
+      updatedAt: object.updatedAt ?? Date.now(),
     };
     this.objects.set(copy.id, copy);
+    addObjectCollider(this.collision, copy);
   }
 
   removeObject(id) {
     this.objects.delete(id);
+    removeObjectCollider(this.collision, id);
   }
 
   getObjects() {
     return Array.from(this.objects.values());
   }
 
+  isCollidable(x, y) {
+    return isCollidable(this.collision, x, y);
+  }
+
   getObjectAtPosition(x, y) {
-    for (const object of this.objects.values()) {
-      const width = Number.isFinite(object.width) ? object.width : OBJECT_WIDTH_PX;
-      const height = Number.isFinite(object.height) ? object.height : OBJECT_HEIGHT_PX;
-      const left = object.x - width / 2;
-      const right = left + width;
-      const top = object.y - height;
-      const bottom = object.y;
-      if (x >= left && x <= right && y >= top && y <= bottom) {
-        return object;
-      }
-    }
-    return null;
+    const id = findObjectAt(this.collision, x, y);
+    return id ? this.objects.get(id) || null : null;
+  }
+
+  // Same footprint test the server uses before accepting an object
+  overlapsObject(object) {
+    return findObjectsInBounds(this.collision, getObjectBounds(object)).length > 0;
   }
 
+  // Followers keep their snapshot buffers across updates; ones not listed are removed
   setFollowers(followers = []) {
-    this.followers.clear();
+    const previous = this.followers;
+    this.followers = new Map();
     followers.forEach((follower) => {
       if (!follower || !follower.id) return;
-      this.followers.set(follower.id, { ...follower });
+      this.followers.set(follower.id, {
+        ...follower,
+        buffer: previous.get(follower.id)?.buffer || new SnapshotBuffer(),
+      });
     });
   }
 
   updateFollower(follower) {
     if (!follower || !follower.id) return;
-    this.followers.set(follower.id, { ...follower });
+    this.followers.set(follower.id, {
+      ...follower,
+      buffer: this.followers.get(follower.id)?.buffer || new SnapshotBuffer(),
+    });
+  }
+
+  getFollower(followerId) {
+    return this.followers.get(followerId);
   }
 
   getFollowers() {
     return Array.from(this.followers.values());
   }
+
+  // NPCs are drawn like players, so they keep the same snapshot buffers as followers
+  setNpcs(npcs = []) {
+    const previous = this.npcs;
+    this.npcs = new Map();
+    npcs.forEach((npc) => {
+      if (!npc || !npc.id) return;
+      this.npcs.set(npc.id, {
+        ...npc,
+        isNpc: true,
+        buffer: previous.get(npc.id)?.buffer || new SnapshotBuffer(),
+      });
+    });
+  }
+
+  getNpc(npcId) {
+    return this.npcs.get(npcId);
+  }
+
+  getNpcs() {
+    return Array.from(this.npcs.values());
+  }
+
+  // The closest NPC within talking distance of (x, y), or null
+  findNpcInReach(x, y) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.npcs.forEach((npc) => {
+      const distance = Math.hypot(npc.x - x, npc.y - y);
+      if (distance <= npc.talkRadius && distance < nearestDistance) {
+        nearest = npc;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
   
   // Update player from server state
   updatePlayer(playerData) {
@@ -122,19 +221,17 @@ export class World {
       existing.hugging = playerData.hugging || false;
       existing.hugEndTime = playerData.hugEndTime || 0;
       existing.sitting = playerData.sitting || false;
+      existing.lastInputSeq = playerData.lastInputSeq ?? existing.lastInputSeq;
+      if (playerData.seat !== undefined) {
+        existing.seat = playerData.seat;
+      }
       // Always update character from server if provided
       if (playerData.character !== undefined && playerData.character !== null) {
         existing.character = playerData.character;
       }
-      existing.lastServerUpdate = Date.now();
-      
-      // Store server state for interpolation
-      if (!existing.interpolationStart) {
-        existing.interpolationStart = {
-          x: existing.renderX || existing.serverX,
-          y: existing.renderY || existing.serverY,
-          time: Date.now(),
-        };
+      // Only join and appearance messages carry the appearance; state updates leave it out
+      if (playerData.appearance !== undefined) {
+        existing.appearance = playerData.appearance;
       }
     } else {
       // Create new player
@@ -142,6 +239,7 @@ export class World {
         id: playerData.id,
         name: playerData.name,
         character: playerData.character || '1',
+        appearance: playerData.appearance || null, // Character creator look, see shared/appearance.js
         serverX: playerData.x,
         serverY: playerData.y,
         serverVx: playerData.vx,
@@ -151,12 +249,30 @@ export class World {
         hugging: playerData.hugging || false,
         hugEndTime: playerData.hugEndTime || 0,
         sitting: playerData.sitting || false,
-        lastServerUpdate: Date.now(),
-        interpolationStart: null,
+        lastInputSeq: playerData.lastInputSeq || 0,
+        seat: playerData.seat || null, // { objectId, name, pose, facing } while holding a seat
+        buffer: new SnapshotBuffer(), // Positions by server time, for interpolation
       });
     }
   }
   
+  // Seat from a `seat_changed` event; null when the player stood up
+  setPlayerSeat(playerId, seat) {
+    const player = this.players.get(playerId);
+    if (player) {
+      player.seat = seat;
+    }
+  }
+  
+  // Look from an `appearance_changed` event
+  setPlayerAppearance(playerId, character, appearance) {
+    const player = this.players.get(playerId);
+    if (player) {
+      player.character = character;
+      player.appearance = appearance;
+    }
+  }
+  
   // Remove player
   removePlayer(playerId) {
     this.players.delete(playerId);
@@ -172,29 +288,64 @@ export class World {
     return Array.from(this.players.values());
   }
   
-  // Update world state from server message
+  // Update world state from a keyframe or a delta against an acked tick.
+  // Returns the tick to acknowledge, or 0 when the delta's base is gone and a keyframe is needed.
   updateFromServer(message) {
-    this.tick = message.tick;
-    this.serverTimestamp = message.timestamp;
-    
-    // Update all players
-    if (message.players) {
-      message.players.forEach(playerData => {
-        this.updatePlayer(playerData);
+    let snapshot;
+    if (message.keyframe) {
+      snapshot = {
+        players: toEntityMap(message.players),
+        followers: toEntityMap(message.followers),
+        npcs: toEntityMap(message.npcs),
+      };
+    } else {
+      const base = this.snapshots.get(message.baseTick);
+      if (!base) {
+        return 0;
+      }
+      snapshot = {
+        players: applyEntityDelta(base.players, message.players, message.removedPlayers),
+        followers: applyEntityDelta(base.followers, message.followers, message.removedFollowers),
+        npcs: applyEntityDelta(base.npcs, message.npcs, message.removedNpcs),
+      };
+      // Later deltas never use an older base than this one
+      this.snapshots.forEach((_, tick) => {
+        if (tick < message.baseTick) {
+          this.snapshots.delete(tick);
+        }
       });
     }
 
-    if (Array.isArray(message.colliders)) {
-      this.setColliders(message.colliders);
+    this.snapshots.set(message.tick, snapshot);
+    if (this.snapshots.size > MAX_SNAPSHOTS) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
     }
 
-    if (Array.isArray(message.followers)) {
-      this.setFollowers(message.followers);
-    }
+    this.tick = message.tick;
+    this.serverTimestamp = message.timestamp;
+    this.clock.addSample(message.timestamp);
 
-    if (Array.isArray(message.objects)) {
-      this.setObjects(message.objects);
-    }
+    snapshot.players.forEach((playerData) => {
+      this.updatePlayer(playerData);
+      this.players.get(playerData.id).buffer.add(
+        message.timestamp, playerData.x, playerData.y, playerData.vx, playerData.vy,
+      );
+    });
+    // Players missing from the snapshot have disconnected
+    this.players.forEach((_, id) => {
+      if (!snapshot.players.has(id)) {
+        this.removePlayer(id);
+      }
+    });
+
+    this.setFollowers(Array.from(snapshot.followers.values()));
+    this.followers.forEach((follower) => {
+      follower.buffer.add(message.timestamp, follower.x, follower.y, follower.vx, follower.vy);
+    });
+    this.setNpcs(Array.from(snapshot.npcs.values()));
+    this.npcs.forEach((npc) => {
+      npc.buffer.add(message.timestamp, npc.x, npc.y, npc.vx, npc.vy);
+    });
+    return message.tick;
   }
 }
-
@@ -0,0 +1,181 @@
+// Player accounts: a name plus passphrase that maps to a stable player id.
+// Passphrases are hashed with scrypt; logins hand out session tokens so reconnects
+// don't need the passphrase again. Only token hashes are ever stored.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { loadAccounts, saveAccount } from './store.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const MAX_NAME_LENGTH = 20;
+export const MIN_PASSPHRASE_LENGTH = 6;
+const MAX_PASSPHRASE_LENGTH = 128;
+
+// scrypt parameters are stored with every hash, so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const SESSION_TOKEN_BYTES = 32;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_SESSIONS_PER_ACCOUNT = 5;
+
+// Rejected logins, reported to the client as an `auth_failed` error
+export class AccountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountError';
+  }
+}
+
+const accounts = new Map(); // id -> account
+const accountIdsByName = new Map(); // name key -> id
+const pendingNames = new Set(); // name keys of new accounts still being saved
+
+// Names are unique regardless of case and Unicode form
+function getNameKey(name) {
+  return name.normalize('NFKC').toLowerCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(passphrase, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassphrase(passphrase, storedHash) {
+  const [scheme, N, r, p, salt, expected] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  const expectedKey = Buffer.from(expected, 'base64');
+  const key = await scrypt(passphrase, Buffer.from(salt, 'base64'), expectedKey.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(key, expectedKey);
+}
+
+function addAccount(account) {
+  accounts.set(account.id, account);
+  accountIdsByName.set(getNameKey(account.name), account.id);
+}
+
+// Load saved accounts; call once at startup after the storage backend is ready
+export async function initAccounts() {
+  const saved = await loadAccounts();
+  saved.forEach((account) => {
+    if (account?.id && typeof account.name === 'string' && account.passphraseHash) {
+      addAccount({ ...account, sessions: Array.isArray(account.sessions) ? account.sessions : [] });
+    }
+  });
+  console.log(`Loaded ${accounts.size} account(s)`);
+}
+
+function normalizeName(raw) {
+  const name = typeof raw === 'string' ? raw.trim() : '';
+  if (!name) {
+    throw new AccountError('Name is required');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new AccountError(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name;
+}
+
+function validatePassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new AccountError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  if (passphrase.length > MAX_PASSPHRASE_LENGTH) {
+    throw new AccountError(`Passphrase must be at most ${MAX_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+// Issue a new session token, dropping expired sessions and the oldest extras. The
+// account only changes in memory once it is saved; a failed save rejects the login.
+async function startSession(account) {
+  const token = crypto.randomBytes(SESSION_TOKEN_BYTES).toString('base64url');
+  const now = Date.now();
+  const sessions = account.sessions
+    .filter((session) => session.expiresAt > now)
+    .concat({ tokenHash: hashToken(token), expiresAt: now + SESSION_TTL_MS })
+    .slice(-MAX_SESSIONS_PER_ACCOUNT);
+  try {
+    await saveAccount({ ...account, sessions });
+  } catch (error) {
+    console.error(`Could not save account "${account.name}":`, error.message);
+    throw new AccountError('Could not save the account, try again');
+  }
+  account.sessions = sessions;
+  return token;
+}
+
+// Sign in with name and passphrase; a name nobody has taken yet creates the account
+async function login(rawName, passphrase) {
+  const name = normalizeName(rawName);
+  validatePassphrase(passphrase);
+
+  const existingId = accountIdsByName.get(getNameKey(name));
+  if (existingId) {
+    const account = accounts.get(existingId);
+    if (!(await verifyPassphrase(passphrase, account.passphraseHash))) {
+      throw new AccountError('Wrong name or passphrase');
+    }
+    return { account, token: await startSession(account) };
+  }
+
+  const account = {
+    id: `player_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`,
+    name,
+    passphraseHash: await hashPassphrase(passphrase),
+    createdAt: Date.now(),
+    sessions: [],
+  };
+  // Another login may have registered the name while we were hashing or saving
+  const nameKey = getNameKey(name);
+  if (accountIdsByName.has(nameKey) || pendingNames.has(nameKey)) {
+    throw new AccountError('That name was just taken, try again');
+  }
+  pendingNames.add(nameKey);
+  let token;
+  try {
+    token = await startSession(account);
+  } finally {
+    pendingNames.delete(nameKey);
+  }
+  addAccount(account);
+  console.log(`Account created for "${name}" (${account.id})`);
+  return { account, token };
+}
+
+function resumeSession(token) {
+  const tokenHash = hashToken(token);
+  const now = Date.now();
+  for (const account of accounts.values()) {
+    const session = account.sessions.find((entry) => entry.tokenHash === tokenHash);
+    if (session) {
+      if (session.expiresAt <= now) {
+        break;
+      }
+      return { account, token };
+    }
+  }
+  throw new AccountError('Session expired, please sign in again');
+}
+
+// Resolve a join request to an account, by session token or by name and passphrase.
+// Throws AccountError when the credentials are rejected.
+export async function authenticate({ token, name, passphrase } = {}) {
+  if (typeof token === 'string' && token) {
+    return resumeSession(token);
+  }
+  return login(name, passphrase);
+}
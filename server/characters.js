@@ -0,0 +1,40 @@
+// Characters a player can pick and the appearances they can put together, read from
+// the client's sprite manifest once at startup (loadCharacters)
+
+import { readFile } from 'fs/promises';
+import { validateSpriteManifest, DEFAULT_CHARACTER } from '../public/shared/spriteManifest.js';
+import { checkAppearance, normalizeAppearance } from '../public/shared/appearance.js';
+
+const MANIFEST_FILE = new URL('../public/assets/sprites.json', import.meta.url);
+
+let characters = new Set([DEFAULT_CHARACTER]);
+let appearanceDefinitions = { palettes: {}, bodies: {}, parts: {} };
+
+export async function loadCharacters() {
+  let raw = null;
+  try {
+    raw = JSON.parse(await readFile(MANIFEST_FILE, 'utf8'));
+  } catch (error) {
+    console.error('Could not read the sprite manifest:', error.message);
+  }
+  const { manifest, problems } = validateSpriteManifest(raw);
+  problems.forEach(({ field, reason }) => console.warn(`Sprite manifest: ${field} ${reason}`));
+  characters = new Set([DEFAULT_CHARACTER, ...Object.keys(manifest.characters)]);
+  appearanceDefinitions = manifest.appearance;
+}
+
+// The picked character when the manifest has it, otherwise the default one
+export function resolveCharacter(character) {
+  return typeof character === 'string' && characters.has(character) ? character : DEFAULT_CHARACTER;
+}
+
+// { field, reason } when the manifest doesn't offer this appearance, otherwise null
+export function validateAppearance(appearance) {
+  return checkAppearance(appearance, appearanceDefinitions);
+}
+
+// A saved or requested appearance the manifest still offers, or the default look of
+// `character`; null when the manifest has no appearance parts for it
+export function resolveAppearance(appearance, character) {
+  return normalizeAppearance(appearance, appearanceDefinitions, character);
+}
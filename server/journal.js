@@ -0,0 +1,133 @@
+// Edit journal: an append-only log of every world edit with author and timestamp.
+// Undo and redo are logged as entries too, so each author's undo/redo stacks can
+// be rebuilt by replaying the log after a restart.
+
+import { loadJournal, appendJournal } from './store.js';
+
+export const JOURNAL_OPS = {
+  PLACE_COLLIDERS: 'place_colliders',
+  REMOVE_COLLIDERS: 'remove_colliders',
+  PLACE_OBJECT: 'place_object',
+  REMOVE_OBJECT: 'remove_object',
+  UNDO: 'undo',
+  REDO: 'redo',
+};
+
+// Undoing reverts an edit by applying its inverse
+export const INVERSE_OPS = {
+  [JOURNAL_OPS.PLACE_COLLIDERS]: JOURNAL_OPS.REMOVE_COLLIDERS,
+  [JOURNAL_OPS.REMOVE_COLLIDERS]: JOURNAL_OPS.PLACE_COLLIDERS,
+  [JOURNAL_OPS.PLACE_OBJECT]: JOURNAL_OPS.REMOVE_OBJECT,
+  [JOURNAL_OPS.REMOVE_OBJECT]: JOURNAL_OPS.PLACE_OBJECT,
+};
+
+// Per-author undo depth; older edits stay in the log but can no longer be undone
+const MAX_UNDO_DEPTH = 100;
+
+export function createJournal(worldId) {
+  return {
+    worldId,
+    nextId: 1,
+    edits: new Map(), // entry id -> edit entry, for undo/redo lookups
+    undoStacks: new Map(), // author -> edit entry ids, most recent last
+    redoStacks: new Map(),
+  };
+}
+
+function getStack(stacks, author) {
+  let stack = stacks.get(author);
+  if (!stack) {
+    stack = [];
+    stacks.set(author, stack);
+  }
+  return stack;
+}
+
+// Update the in-memory stacks for one entry, both when recording and when replaying
+function applyEntry(journal, entry) {
+  journal.nextId = Math.max(journal.nextId, entry.id + 1);
+  const undoStack = getStack(journal.undoStacks, entry.author);
+  const redoStack = getStack(journal.redoStacks, entry.author);
+
+  if (entry.op === JOURNAL_OPS.UNDO || entry.op === JOURNAL_OPS.REDO) {
+    const [from, to] = entry.op === JOURNAL_OPS.UNDO ? [undoStack, redoStack] : [redoStack, undoStack];
+    const index = from.lastIndexOf(entry.target);
+    if (index !== -1) {
+      from.splice(index, 1);
+      to.push(entry.target);
+    }
+    return;
+  }
+
+  journal.edits.set(entry.id, entry);
+  undoStack.push(entry.id);
+  if (undoStack.length > MAX_UNDO_DEPTH) {
+    journal.edits.delete(undoStack.shift());
+  }
+  // A new edit makes the undone ones unreachable, as in any editor
+  redoStack.forEach((id) => journal.edits.delete(id));
+  redoStack.length = 0;
+}
+
+function appendEntry(journal, entry) {
+  applyEntry(journal, entry);
+  appendJournal(journal.worldId, entry).catch(console.error);
+  return entry;
+}
+
+export async function loadRoomJournal(worldId) {
+  const journal = createJournal(worldId);
+  const entries = await loadJournal(worldId);
+  entries.forEach((entry) => {
+    if (Number.isInteger(entry?.id) && typeof entry.author === 'string' && entry.op) {
+      applyEntry(journal, entry);
+    }
+  });
+  return journal;
+}
+
+// Log an edit that has been applied; `data` holds `tiles` or `object`
+export function recordEdit(journal, { author, authorName }, op, data) {
+  return appendEntry(journal, {
+    id: journal.nextId,
+    op,
+    author,
+    authorName,
+    timestamp: Date.now(),
+    ...data,
+  });
+}
+
+// The edit an undo (or redo) by `author` would revert (or reapply), or null
+export function getUndoTarget(journal, author) {
+  const stack = journal.undoStacks.get(author) || [];
+  return journal.edits.get(stack[stack.length - 1]) || null;
+}
+
+export function getRedoTarget(journal, author) {
+  const stack = journal.redoStacks.get(author) || [];
+  return journal.edits.get(stack[stack.length - 1]) || null;
+}
+
+// Log an undo/redo once its change has been applied to the world
+export function recordUndo(journal, { author, authorName }, target) {
+  return appendEntry(journal, {
+    id: journal.nextId,
+    op: JOURNAL_OPS.UNDO,
+    author,
+    authorName,
+    timestamp: Date.now(),
+    target: target.id,
+  });
+}
+
+export function recordRedo(journal, { author, authorName }, target) {
+  return appendEntry(journal, {
+    id: journal.nextId,
+    op: JOURNAL_OPS.REDO,
+    author,
+    authorName,
+    timestamp: Date.now(),
+    target: target.id,
+  });
+}
@@ -0,0 +1,215 @@
+// Ambient NPCs. Each world keeps its NPC definitions with its other data (npcs.json in
+// the world's directory, or the storage backend's table), each with a looping routine
+// of steps and lines they say when a player talks to them:
+//
+//   { "action": "walk", "x": 720, "y": 240 }            walk there around obstacles
+//   { "action": "idle", "seconds": 4 }                  stand still
+//   { "action": "wander", "seconds": 10, "radius": 64 } stroll around where the step began
+
+import { walkToward, stopAgent } from './steering.js';
+
+const DEFAULT_SPEED = 60;
+const DEFAULT_TALK_RADIUS = 48;
+const TALK_PAUSE_MS = 4000; // An NPC stops its routine this long when talked to
+const WANDER_REST_MS = [1000, 3000];
+const WANDER_SPEED_FACTOR = 0.6;
+
+export const NPC_ACTIONS = {
+  WALK: 'walk',
+  IDLE: 'idle',
+  WANDER: 'wander',
+};
+
+// NPCs the default world starts with when it has none saved yet
+export const DEFAULT_NPCS = [
+  {
+    id: 'gardener',
+    name: 'Bahçıvan',
+    character: '2',
+    x: 520,
+    y: 240,
+    speed: 50,
+    routine: [
+      { action: 'walk', x: 720, y: 240 },
+      { action: 'idle', seconds: 4 },
+      { action: 'walk', x: 720, y: 420 },
+      { action: 'wander', seconds: 10, radius: 64 },
+      { action: 'walk', x: 520, y: 240 },
+      { action: 'idle', seconds: 6 },
+    ],
+    dialogue: [
+      'Günaydın! Çiçekler bugün çok güzel.',
+      'Bankta oturup kitabınıza bakmayı unutmayın.',
+      'Buggy yine çimlerime girdi...',
+    ],
+  },
+  {
+    id: 'stroller',
+    name: 'Gezgin',
+    character: '1',
+    x: 2700,
+    y: 1600,
+    routine: [
+      { action: 'wander', seconds: 20, radius: 160 },
+      { action: 'idle', seconds: 5 },
+    ],
+    dialogue: [
+      'Ne güzel bir gün, değil mi?',
+      'Şu bank en sevdiğim yer.',
+    ],
+  },
+];
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function normalizeStep(raw) {
+  switch (raw?.action) {
+    case NPC_ACTIONS.WALK:
+      return isNumber(raw.x) && isNumber(raw.y) ? { action: NPC_ACTIONS.WALK, x: raw.x, y: raw.y } : null;
+    case NPC_ACTIONS.IDLE:
+      return { action: NPC_ACTIONS.IDLE, seconds: isNumber(raw.seconds) ? Math.max(0, raw.seconds) : 3 };
+    case NPC_ACTIONS.WANDER:
+      return {
+        action: NPC_ACTIONS.WANDER,
+        seconds: isNumber(raw.seconds) ? Math.max(0, raw.seconds) : 10,
+        radius: isNumber(raw.radius) ? Math.max(0, raw.radius) : 64,
+      };
+    default:
+      return null;
+  }
+}
+
+// Coerce one NPC definition, or null when it has no id or start position
+function normalizeNpcDefinition(raw) {
+  if (typeof raw?.id !== 'string' || !raw.id || !isNumber(raw.x) || !isNumber(raw.y)) {
+    return null;
+  }
+  return {
+    id: raw.id,
+    name: typeof raw.name === 'string' ? raw.name : raw.id,
+    character: typeof raw.character === 'string' ? raw.character : '1',
+    x: raw.x,
+    y: raw.y,
+    speed: isNumber(raw.speed) && raw.speed > 0 ? raw.speed : DEFAULT_SPEED,
+    talkRadius: isNumber(raw.talkRadius) && raw.talkRadius > 0 ? raw.talkRadius : DEFAULT_TALK_RADIUS,
+    routine: (Array.isArray(raw.routine) ? raw.routine : []).map(normalizeStep).filter(Boolean),
+    dialogue: (Array.isArray(raw.dialogue) ? raw.dialogue : []).filter((line) => typeof line === 'string' && line),
+  };
+}
+
+// The usable definitions among a world's saved NPCs
+export function normalizeNpcDefinitions(saved, worldId) {
+  const definitions = [];
+  (Array.isArray(saved) ? saved : []).forEach((raw) => {
+    const npc = normalizeNpcDefinition(raw);
+    if (!npc || definitions.some((other) => other.id === npc.id)) {
+      console.warn(`Skipping invalid or duplicate NPC in world "${worldId}":`, raw?.id ?? raw);
+      return;
+    }
+    definitions.push(npc);
+  });
+  return definitions;
+}
+
+export function createNpcState(definition) {
+  return {
+    ...definition,
+    vx: 0,
+    vy: 0,
+    step: -1, // Index into routine; -1 until the first update starts it
+    stepEndsAt: 0,
+    anchor: null, // Where the current step began; wandering stays near it
+    wander: null, // { x, y, restUntil } of the current wander spot
+    route: null, // Path being walked, kept by Pathfinder.steer
+    talkingUntil: 0,
+    nextLine: 0, // Dialogue lines are said in turn
+  };
+}
+
+function startNextStep(npc, now) {
+  npc.step = (npc.step + 1) % npc.routine.length;
+  const step = npc.routine[npc.step];
+  npc.stepEndsAt = now + (step.seconds || 0) * 1000;
+  npc.anchor = { x: npc.x, y: npc.y };
+  npc.wander = null;
+  npc.route = null;
+}
+
+function pickWanderSpot(anchor, radius) {
+  const angle = Math.random() * Math.PI * 2;
+  const distance = radius * Math.sqrt(Math.random());
+  return { x: anchor.x + Math.cos(angle) * distance, y: anchor.y + Math.sin(angle) * distance };
+}
+
+// Returns true when the step is done
+function runStep(room, npc, step, deltaSeconds, now) {
+  switch (step.action) {
+    case NPC_ACTIONS.WALK:
+      return walkToward(room, npc, step.x, step.y, 2, npc.speed, deltaSeconds);
+
+    case NPC_ACTIONS.WANDER: {
+      if (now >= npc.stepEndsAt) {
+        return true;
+      }
+      if (!npc.wander) {
+        npc.wander = { ...pickWanderSpot(npc.anchor, step.radius), restUntil: 0 };
+      }
+      if (now < npc.wander.restUntil) {
+        stopAgent(npc);
+      } else if (walkToward(room, npc, npc.wander.x, npc.wander.y, 2, npc.speed * WANDER_SPEED_FACTOR, deltaSeconds)) {
+        const [minRest, maxRest] = WANDER_REST_MS;
+        npc.wander = {
+          ...pickWanderSpot(npc.anchor, step.radius),
+          restUntil: now + minRest + Math.random() * (maxRest - minRest),
+        };
+      }
+      return false;
+    }
+
+    default:
+      stopAgent(npc);
+      return now >= npc.stepEndsAt;
+  }
+}
+
+export function updateNpcs(room, deltaSeconds, now = Date.now()) {
+  room.npcs.forEach((npc) => {
+    if (now < npc.talkingUntil || npc.routine.length === 0) {
+      stopAgent(npc);
+      return;
+    }
+    if (npc.step === -1) {
+      startNextStep(npc, now);
+    }
+    if (runStep(room, npc, npc.routine[npc.step], deltaSeconds, now)) {
+      startNextStep(npc, now);
+    }
+  });
+}
+
+// The closest NPC whose talk radius reaches (x, y), or null
+export function findNpcInReach(room, x, y) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  room.npcs.forEach((npc) => {
+    const distance = Math.hypot(npc.x - x, npc.y - y);
+    if (distance <= npc.talkRadius && distance < nearestDistance) {
+      nearest = npc;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+// The NPC's next line (null when it has nothing to say); it pauses to say it
+export function talkTo(npc, now = Date.now()) {
+  if (npc.dialogue.length === 0) {
+    return null;
+  }
+  const line = npc.dialogue[npc.nextLine % npc.dialogue.length];
+  npc.nextLine++;
+  npc.talkingUntil = now + TALK_PAUSE_MS;
+  return line;
+}
@@ -0,0 +1,151 @@
+// Pets: the followers of a room are the pets of its connected players. syncPets
+// keeps that set in step with who is here and what they own; updatePets moves each
+// pet by its behavior every tick (see steering.js for how they get around).
+
+import { GAME_CONFIG, createFollowerState } from './schema.js';
+import { PET_TYPES, PET_BEHAVIORS, getPetId } from '../public/shared/pets.js';
+import { getSeatPosition } from '../public/shared/furniture.js';
+import { walkToward, stopAgent } from './steering.js';
+
+const FOLLOW_ANGLE = Math.PI / 6; // Pets trail behind the owner, alternating sides by slot
+const TRAILING_FACTOR = 0.25; // Seconds of the owner's velocity pets lag behind
+const WANDER_RADIUS = GAME_CONFIG.TILE_SIZE * 6;
+const WANDER_LEASH = GAME_CONFIG.TILE_SIZE * 10; // A wandering pet further than this runs back
+const WANDER_REST_MS = [1000, 3000]; // Pause between wander spots, min and max
+const WANDER_SPEED_FACTOR = 0.5;
+const VISIT_DISTANCE = GAME_CONFIG.TILE_SIZE * 1.5; // How close a visiting pet gets to the other player
+const MIN_SPEED = 60;
+
+// Make the room's followers exactly the pets of its connected players
+export function syncPets(room) {
+  const wanted = new Set();
+  room.players.forEach((player) => {
+    if (!player.connected) {
+      return;
+    }
+    player.pets.forEach((pet, slot) => {
+      const id = getPetId(player.id, pet.type);
+      wanted.add(id);
+      let follower = room.followers.get(id);
+      if (!follower) {
+        // New pets appear at their owner's feet
+        follower = createFollowerState(id, PET_TYPES[pet.type].sprite, player.id);
+        follower.x = player.x;
+        follower.y = player.y;
+        room.followers.set(id, follower);
+      }
+      follower.petType = pet.type;
+      follower.behavior = pet.behavior;
+      follower.slot = slot;
+    });
+  });
+  room.followers.forEach((_, id) => {
+    if (!wanted.has(id)) {
+      room.followers.delete(id);
+    }
+  });
+}
+
+function getPetSpeed(pet, target) {
+  const targetSpeed = Math.hypot(target.vx, target.vy);
+  return Math.max(MIN_SPEED, PET_TYPES[pet.petType].speed - targetSpeed * 0.15);
+}
+
+function follow(room, pet, owner, deltaSeconds) {
+  // Keep further back while the owner sits
+  const distanceMultiplier = owner.sitting ? 4 : 1.3;
+  const baseOffset = GAME_CONFIG.TILE_SIZE * 1.8 * distanceMultiplier;
+  const angle = pet.slot % 2 === 0 ? FOLLOW_ANGLE : -FOLLOW_ANGLE;
+  const x = owner.x - Math.cos(angle) * baseOffset - owner.vx * TRAILING_FACTOR;
+  const y = owner.y - Math.sin(angle) * baseOffset - owner.vy * TRAILING_FACTOR;
+  const stopDistance = GAME_CONFIG.TILE_SIZE * 0.8 * distanceMultiplier;
+  walkToward(room, pet, x, y, stopDistance, getPetSpeed(pet, owner), deltaSeconds);
+}
+
+function pickWanderSpot(owner) {
+  const angle = Math.random() * Math.PI * 2;
+  const radius = WANDER_RADIUS * Math.sqrt(Math.random());
+  return { x: owner.x + Math.cos(angle) * radius, y: owner.y + Math.sin(angle) * radius };
+}
+
+function wander(room, pet, owner, deltaSeconds, now) {
+  const speed = getPetSpeed(pet, owner);
+  if (Math.hypot(owner.x - pet.x, owner.y - pet.y) > WANDER_LEASH) {
+    // Left behind: run back and look for a new spot once close again
+    pet.wander = null;
+    follow(room, pet, owner, deltaSeconds);
+    return;
+  }
+
+  if (!pet.wander) {
+    pet.wander = { ...pickWanderSpot(owner), restUntil: 0 };
+  }
+  if (now < pet.wander.restUntil) {
+    stopAgent(pet);
+    return;
+  }
+  if (walkToward(room, pet, pet.wander.x, pet.wander.y, 2, speed * WANDER_SPEED_FACTOR, deltaSeconds)) {
+    const [minRest, maxRest] = WANDER_REST_MS;
+    pet.wander = { ...pickWanderSpot(owner), restUntil: now + minRest + Math.random() * (maxRest - minRest) };
+  }
+}
+
+function sitBeside(room, pet, owner, deltaSeconds) {
+  const object = owner.sitting && owner.seat ? room.objects.get(owner.seat.objectId) : null;
+  const seat = object ? getSeatPosition(object, owner.seat.name) : null;
+  if (!seat) {
+    follow(room, pet, owner, deltaSeconds);
+    return;
+  }
+  // Lie down where the owner will stand up
+  walkToward(room, pet, seat.standX, seat.standY, 2, getPetSpeed(pet, owner), deltaSeconds);
+}
+
+// Closest connected player other than the owner, or null
+function findOtherPlayer(room, owner, pet) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  room.players.forEach((player) => {
+    if (!player.connected || player.id === owner.id) {
+      return;
+    }
+    const distance = Math.hypot(player.x - pet.x, player.y - pet.y);
+    if (distance < nearestDistance) {
+      nearest = player;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+export function updatePets(room, deltaSeconds, now = Date.now()) {
+  room.followers.forEach((pet) => {
+    const owner = room.players.get(pet.ownerId);
+    if (!owner || !owner.connected) {
+      pet.targetPlayerId = null;
+      stopAgent(pet);
+      return;
+    }
+
+    const other = pet.behavior === PET_BEHAVIORS.VISIT ? findOtherPlayer(room, owner, pet) : null;
+    pet.targetPlayerId = other ? other.id : owner.id;
+
+    switch (pet.behavior) {
+      case PET_BEHAVIORS.WANDER:
+        wander(room, pet, owner, deltaSeconds, now);
+        break;
+      case PET_BEHAVIORS.SIT_BESIDE:
+        sitBeside(room, pet, owner, deltaSeconds);
+        break;
+      case PET_BEHAVIORS.VISIT:
+        if (other) {
+          walkToward(room, pet, other.x, other.y, VISIT_DISTANCE, getPetSpeed(pet, other), deltaSeconds);
+        } else {
+          follow(room, pet, owner, deltaSeconds);
+        }
+        break;
+      default:
+        follow(room, pet, owner, deltaSeconds);
+    }
+  });
+}
@@ -1,88 +1,212 @@
 // Game state schemas and constants
 
-import { COLLIDER_TILE_SIZE, MAP_COLS, MAP_ROWS } from './worldMap.js';
+import {
+  COLLIDER_TILE_SIZE,
+  MAP_COLS,
+  MAP_ROWS,
+  WORLD_WIDTH,
+  WORLD_HEIGHT,
+  OBJECT_WIDTH_PX,
+  OBJECT_HEIGHT_PX,
+  createCollisionMap,
+} from '../public/shared/worldMap.js';
+import { Pathfinder } from '../public/shared/pathfinding.js';
+import { MAX_COLLIDER_BATCH } from '../public/shared/protocol.js';
+import { FURNITURE_TYPES } from '../public/shared/furniture.js';
+import { normalizePets } from '../public/shared/pets.js';
+import { TICK_RATE, PLAYER_SPEED } from '../public/shared/movement.js';
 
 export const GAME_CONFIG = {
-  TICK_RATE: 20, // 20 TPS
-  TICK_INTERVAL: 1000 / 20, // 50ms
-  PLAYER_SPEED: 125, // pixels per second
-  FOLLOWER_SPEED: 110,
+  TICK_RATE, // 20 TPS, shared with the client's movement prediction
+  TICK_INTERVAL: 1000 / TICK_RATE, // 50ms
+  PLAYER_SPEED, // pixels per second
   MAX_PLAYERS: 2,
   TILE_SIZE: COLLIDER_TILE_SIZE,
   WORLD_COLS: MAP_COLS,
   WORLD_ROWS: MAP_ROWS,
-  OBJECT_WIDTH: 48,
-  OBJECT_HEIGHT: 72,
+  WORLD_WIDTH,
+  WORLD_HEIGHT,
+  OBJECT_WIDTH: OBJECT_WIDTH_PX,
+  OBJECT_HEIGHT: OBJECT_HEIGHT_PX,
+  MAX_COLLIDER_BATCH, // Most tiles one place_colliders/remove_colliders message may carry
+  KEYFRAME_INTERVAL: 40, // Ticks between full state updates per client (2 seconds)
+  SNAPSHOT_HISTORY: 40, // Ticks of snapshots kept as delta bases; older acks get a keyframe
 };
 
-GAME_CONFIG.WORLD_WIDTH = GAME_CONFIG.WORLD_COLS * GAME_CONFIG.TILE_SIZE;
-GAME_CONFIG.WORLD_HEIGHT = GAME_CONFIG.WORLD_ROWS * GAME_CONFIG.TILE_SIZE;
-
-export const MESSAGE_TYPES = {
-  // Client -> Server
-  JOIN: 'join',
-  INPUT: 'input',
-  DISCONNECT: 'disconnect',
-  RESET_POSITION: 'reset_position',
-  PLACE_COLLIDER: 'place_collider',
-  REMOVE_COLLIDER: 'remove_collider',
-  PLACE_OBJECT: 'place_object',
-  REMOVE_OBJECT: 'remove_object',
-  HUG: 'hug',
-  BENCH_SIT: 'bench_sit',
-  BENCH_STAND: 'bench_stand',
-  
-  // Server -> Client
-  WELCOME: 'welcome',
-  STATE_UPDATE: 'state_update',
-  PLAYER_JOINED: 'player_joined',
-  PLAYER_LEFT: 'player_left',
-  COLLIDER_PLACED: 'collider_placed',
-  COLLIDER_REMOVED: 'collider_removed',
-  OBJECT_PLACED: 'object_placed',
-  OBJECT_REMOVED: 'object_removed',
-  HUG_STARTED: 'hug_started',
-  HUG_ENDED: 'hug_ended',
-  ERROR: 'error',
+// Room used when a join message does not name one
+export const DEFAULT_ROOM_ID = 'default';
+export const MAX_ROOM_ID_LENGTH = 32;
+
+// Message types and error codes live in the protocol module shared with the client
+export { MESSAGE_TYPES, ERROR_CODES } from '../public/shared/protocol.js';
+
+// Each player has a role per world: owners manage roles and edit,
+// editors change the map and objects, visitors only play
+export const ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VISITOR: 'visitor',
+};
+
+export const PERMISSIONS = {
+  EDIT_WORLD: 'edit_world',
+  MANAGE_ROLES: 'manage_roles',
 };
 
-export function createPlayerState(playerId, name = 'Player', character = '1') {
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: [PERMISSIONS.EDIT_WORLD, PERMISSIONS.MANAGE_ROLES],
+  [ROLES.EDITOR]: [PERMISSIONS.EDIT_WORLD],
+  [ROLES.VISITOR]: [],
+};
+
+export function normalizeRole(raw) {
+  return Object.values(ROLES).includes(raw) ? raw : ROLES.VISITOR;
+}
+
+export function roleHasPermission(role, permission) {
+  return ROLE_PERMISSIONS[normalizeRole(role)].includes(permission);
+}
+
+export function createPlayerState(playerId, name = 'Player', character = '1', role = ROLES.VISITOR) {
   return {
     id: playerId,
     name: name,
-    character: character, // Player character: '1' or '2'
+    character: character, // Player character: a character id from the sprite manifest
+    role: role, // Role in this world, see ROLES
     x: 0,
     y: 0,
     vx: 0, // velocity x
     vy: 0, // velocity y
-    lastInputSeq: 0,
-    lastInput: null, // Store last input for continuous processing
+    lastInputSeq: 0, // Last input processed, echoed so the client can reconcile its prediction
+    inputQueue: [], // Inputs not processed yet, one per tick
     connected: true,
     lastUpdate: Date.now(),
     hugging: false, // Whether player is currently hugging
     hugEndTime: 0, // When the hug animation should end
-    sitting: false, // Whether player is sitting on bench
+    sitting: false, // Whether player is sitting on a piece of furniture
+    seat: null, // { objectId, name } of the seat held while sitting (see seats.js)
+    pets: normalizePets(), // [{ type, behavior }] owned by the player, see PET_TYPES
+    appearance: null, // Character creator look (see shared/appearance.js); null draws the plain character sheet
   };
 }
 
-export function createFollowerState(id, spriteKey) {
+// Coerce a stored or client-sent display object into the canonical record shape
+export function normalizeObjectData(raw) {
+  if (!raw) {
+    return null;
+  }
+
+  const id = typeof raw.id === 'string'
+    ? raw.id
+    : `object_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+  let x = Number(raw.x);
+  let y = Number(raw.y);
+
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    const col = Number.isFinite(Number(raw.col)) ? Number(raw.col) : null;
+    const row = Number.isFinite(Number(raw.row)) ? Number(raw.row) : null;
+    if (col !== null && row !== null) {
+      x = (col + 0.5) * GAME_CONFIG.TILE_SIZE;
+      y = (row + 1) * GAME_CONFIG.TILE_SIZE;
+    }
+  }
+
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    return null;
+  }
+
+  // Furniture takes its size from its type and has no image or text
+  const furniture = typeof raw.furniture === 'string' && Object.hasOwn(FURNITURE_TYPES, raw.furniture)
+    ? FURNITURE_TYPES[raw.furniture]
+    : null;
+  if (furniture) {
+    return {
+      id,
+      x,
+      y,
+      width: furniture.width,
+      height: furniture.height,
+      imageSrc: '',
+      text: '',
+      furniture: raw.furniture,
+      createdAt: raw.createdAt ?? Date.now(),
+      updatedAt: raw.updatedAt ?? Date.now(),
+    };
+  }
+
+  const width = Number.isFinite(raw.width) ? raw.width : GAME_CONFIG.OBJECT_WIDTH;
+  const height = Number.isFinite(raw.height) ? raw.height : GAME_CONFIG.OBJECT_HEIGHT;
+
+  return {
+    id,
+    x,
+    y,
+    width,
+    height,
+    imageSrc: typeof raw.imageSrc === 'string' ? raw.imageSrc : '',
+    text: typeof raw.text === 'string' ? raw.text : '',
+    createdAt: raw.createdAt ?? Date.now(),
+    updatedAt: raw.updatedAt ?? Date.now(),
+  };
+}
+
+// Furniture every world starts with; it used to be built into the map
+export const DEFAULT_FURNITURE = [
+  { id: 'bench', furniture: 'bench', x: 2760, y: 1511, createdAt: 0, updatedAt: 0 },
+];
+
+export function createDefaultObjects() {
+  return DEFAULT_FURNITURE.map(normalizeObjectData);
+}
+
+export function createFollowerState(id, spriteKey, ownerId = null) {
   return {
     id,
     sprite: spriteKey,
-    slot: 0,
+    slot: 0, // Index among the owner's pets
     x: 0,
     y: 0,
     vx: 0,
     vy: 0,
-    targetPlayerId: null,
+    targetPlayerId: null, // Player the pet is heading for
+    ownerId,
+    petType: null,
+    behavior: null, // One of PET_BEHAVIORS
+    wander: null, // { x, y, restUntil } of the current wander spot
+    route: null, // Path being walked, kept by Pathfinder.steer
   };
 }
 
-export function createGameState() {
+// Turn a client-supplied room code into a safe room id (lowercase letters, digits, '-' and '_')
+export function normalizeRoomId(raw) {
+  if (typeof raw !== 'string') {
+    return DEFAULT_ROOM_ID;
+  }
+  const roomId = raw
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, '')
+    .slice(0, MAX_ROOM_ID_LENGTH);
+  return roomId || DEFAULT_ROOM_ID;
+}
+
+export function createGameState(roomId = DEFAULT_ROOM_ID) {
+  const collision = createCollisionMap();
   return {
+    id: roomId,
+    clients: new Set(), // Sockets that joined this room
+    collision,
+    pathfinder: new Pathfinder(collision), // Routes for pets around the room's obstacles
     players: new Map(),
     objects: new Map(),
     followers: new Map(),
+    npcDefinitions: [], // The world's saved NPC definitions, see npcs.js
+    npcs: new Map(), // Ambient NPCs running those definitions
+    claimable: false, // A brand-new world makes its first player the owner
+    journal: null, // Edit history for undo/redo, loaded with the room
+    seats: new Map(), // `objectId:seatName` -> id of the player holding that seat
+    snapshots: new Map(), // Recent per-tick entity snapshots, the bases for delta state updates
     tick: 0,
     lastTick: Date.now(),
   };
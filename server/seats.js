@@ -0,0 +1,55 @@
+// Seat reservations. Every seat of a piece of furniture is a named slot that at most
+// one player holds; `room.seats` maps `objectId:seatName` to the holder's player id
+// and `player.seat` points back at the slot while the player sits.
+
+import { getFurnitureType, getSeat } from '../public/shared/furniture.js';
+
+function seatKey(objectId, seatName) {
+  return `${objectId}:${seatName}`;
+}
+
+// The first seat of `object` nobody holds, or null
+export function findFreeSeat(room, object) {
+  const type = getFurnitureType(object);
+  if (!type) {
+    return null;
+  }
+  return type.seats.find((seat) => !room.seats.has(seatKey(object.id, seat.name))) || null;
+}
+
+// Reserve `seatName` of `object` for `player`. Returns false if the seat doesn't exist or is held.
+export function takeSeat(room, player, object, seatName) {
+  const key = seatKey(object.id, seatName);
+  if (!getSeat(object, seatName) || room.seats.has(key)) {
+    return false;
+  }
+  room.seats.set(key, player.id);
+  player.seat = { objectId: object.id, name: seatName };
+  return true;
+}
+
+// Give up the player's seat, if any
+export function releaseSeat(room, player) {
+  if (!player.seat) {
+    return;
+  }
+  const key = seatKey(player.seat.objectId, player.seat.name);
+  if (room.seats.get(key) === player.id) {
+    room.seats.delete(key);
+  }
+  player.seat = null;
+}
+
+// How a player is seated, as sent in `seat_changed`: { objectId, name, pose, facing }, or null
+export function describeSeat(room, player) {
+  if (!player.seat) {
+    return null;
+  }
+  const seat = getSeat(room.objects.get(player.seat.objectId), player.seat.name);
+  return {
+    objectId: player.seat.objectId,
+    name: player.seat.name,
+    pose: seat?.pose || 'sit',
+    facing: seat?.facing || 'front',
+  };
+}
@@ -2,28 +2,85 @@ import { WebSocketServer, WebSocket } from 'ws';
 import {
   GAME_CONFIG,
   MESSAGE_TYPES,
+  ERROR_CODES,
+  ROLES,
+  PERMISSIONS,
+  normalizeRole,
+  roleHasPermission,
+  DEFAULT_ROOM_ID,
+  MAX_ROOM_ID_LENGTH,
+  normalizeRoomId,
   createPlayerState,
   createGameState,
-  createFollowerState,
+  normalizeObjectData,
+  createDefaultObjects,
 } from './schema.js';
 import {
+  STORAGE_BACKEND,
+  initStorage,
+  listWorlds,
+  worldExists,
   loadState,
   saveState,
   loadColliders,
   saveColliders,
+  addColliders,
+  removeColliders,
   loadObjects,
   saveObjects,
+  saveObject,
+  removeObject,
+  loadNpcs,
+  saveNpcs,
+  flushWrites,
 } from './store.js';
+import { initAccounts, authenticate, AccountError } from './accounts.js';
+import {
+  JOURNAL_OPS,
+  INVERSE_OPS,
+  loadRoomJournal,
+  recordEdit,
+  getUndoTarget,
+  getRedoTarget,
+  recordUndo,
+  recordRedo,
+} from './journal.js';
+import { validateClientMessage } from '../public/shared/protocol.js';
+import { stepPlayer } from '../public/shared/movement.js';
+import { getFurnitureType, getSeatPosition, findNearestSeating } from '../public/shared/furniture.js';
+import { findFreeSeat, takeSeat, releaseSeat, describeSeat } from './seats.js';
+import { syncPets, updatePets } from './pets.js';
+import { loadCharacters, resolveCharacter, validateAppearance, resolveAppearance } from './characters.js';
+import { DEFAULT_NPCS, normalizeNpcDefinitions, createNpcState, updateNpcs, findNpcInReach, talkTo } from './npcs.js';
+import { normalizePets, isPetType, isPetBehavior } from '../public/shared/pets.js';
+import {
+  BINARY_PROTOCOL_VERSION,
+  encodeStateUpdate,
+  decodeMessage,
+} from '../public/shared/binaryCodec.js';
+import {
+  recordSnapshot,
+  snapshotFollower,
+  snapshotNpc,
+  encodeSnapshot,
+  getDeltaBase,
+  resetClientSnapshots,
+  acknowledgeTick,
+} from './snapshots.js';
 import {
-  isCollidable,
   addColliderTile,
   removeColliderTile,
+  addColliderTiles,
+  removeColliderTiles,
   getColliders,
   setColliders,
   addObjectCollider,
   removeObjectCollider,
   clearObjectColliders,
-} from './worldMap.js';
+  getObjectBounds,
+  findObjectsInBounds,
+  findObjectAt,
+} from '../public/shared/worldMap.js';
 
 const PORT = process.env.PORT || 3001;
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS 
@@ -34,484 +91,452 @@ const SPAWN_POINTS = [
   { col: 21, row: 10 },
 ];
 
-const FOLLOWER_TEMPLATES = [
-  { id: 'follower_buggy', sprite: 'buggy' },
-];
 
-// Game state
-let gameState = createGameState();
+// Rooms by id. Each room is an independent game state with its own sockets and tick.
+const rooms = new Map();
 let wss = null;
 
+// WIRE_PROTOCOL=json turns binary frames off for every client, e.g. to read traffic while debugging
+const BINARY_ENABLED = process.env.WIRE_PROTOCOL !== 'json';
+
+// Sockets are closed after this many rejected logins
+const MAX_FAILED_LOGINS = 5;
+
+// New worlds one account may create per window; every new world is a directory on disk
+const NEW_WORLD_LIMIT = 3;
+const NEW_WORLD_WINDOW_MS = 60 * 60 * 1000;
+const newWorldsByAccount = new Map(); // account id -> creation times within the window
+
+// Account names (comma separated) that are owners of every world, e.g. for the default world
+const WORLD_OWNERS = new Set(
+  (process.env.WORLD_OWNERS || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean),
+);
+
 // Initialize game state from persistence
-async function initializeGame() {
-  const savedState = await loadState();
+async function initializeGame(room) {
+  const savedState = await loadState(room.id);
   if (savedState && savedState.players) {
     // Restore player positions but mark as disconnected
     for (const [id, player] of Object.entries(savedState.players)) {
-      const playerState = createPlayerState(id, player.name, player.character || '1');
+      const playerState = createPlayerState(id, player.name, player.character || '1', normalizeRole(player.role));
       playerState.x = player.x || 0;
       playerState.y = player.y || 0;
+      playerState.pets = normalizePets(player.pets);
+      playerState.appearance = resolveAppearance(player.appearance, playerState.character);
       playerState.connected = false;
-      gameState.players.set(id, playerState);
+      room.players.set(id, playerState);
     }
   }
 }
 
-async function initializeColliders() {
-  const colliders = await loadColliders();
+async function initializeColliders(room, layoutWorldId) {
+  const colliders = await loadColliders(layoutWorldId);
   if (Array.isArray(colliders)) {
-    setColliders(colliders);
+    setColliders(room.collision, colliders);
   }
 }
 
-async function initializeObjects() {
-  const objects = await loadObjects();
-  gameState.objects.clear();
-  clearObjectColliders();
+async function initializeObjects(room, layoutWorldId) {
+  // A layout that was never saved (a fresh install) starts with the default furniture
+  const objects = (await worldExists(layoutWorldId))
+    ? await loadObjects(layoutWorldId)
+    : createDefaultObjects();
+  room.objects.clear();
+  clearObjectColliders(room.collision);
   objects.forEach((object) => {
     const normalized = normalizeObjectData(object);
-    if (!normalized || gameState.objects.has(normalized.id)) {
+    if (!normalized || room.objects.has(normalized.id)) {
       return;
     }
-    gameState.objects.set(normalized.id, normalized);
-    addObjectCollider(normalized);
+    room.objects.set(normalized.id, normalized);
+    addObjectCollider(room.collision, normalized);
   });
-  await saveObjects(gameState.objects).catch(console.error);
 }
 
-function initializeFollowers() {
-  FOLLOWER_TEMPLATES.forEach((template) => {
-    if (!gameState.followers.has(template.id)) {
-      const follower = createFollowerState(template.id, template.sprite);
-      // Start followers near the first spawn point
-      const spawn = SPAWN_POINTS[0];
-      follower.x = spawn.col * GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SIZE / 2;
-      follower.y = (spawn.row + 1) * GAME_CONFIG.TILE_SIZE;
-      gameState.followers.set(template.id, follower);
-    }
+// NPCs come with the layout, so a new world starts with the default world's NPCs
+async function initializeNpcs(room, layoutWorldId) {
+  // A layout that was never saved (a fresh install) starts with the bundled NPCs
+  let saved = (await worldExists(layoutWorldId)) ? await loadNpcs(layoutWorldId) : DEFAULT_NPCS;
+  if (!saved && layoutWorldId === DEFAULT_ROOM_ID) {
+    // Saved before worlds kept their NPCs: give the default world the bundled ones
+    console.warn(`No NPCs saved for world "${layoutWorldId}", adding the bundled ones`);
+    saved = DEFAULT_NPCS;
+    await saveNpcs(layoutWorldId, saved);
+  } else if (!saved) {
+    console.error(`No NPCs saved for world "${layoutWorldId}"; world "${room.id}" starts without NPCs`);
+    saved = [];
+  }
+  room.npcDefinitions = normalizeNpcDefinitions(saved, room.id);
+  room.npcs.clear();
+  room.npcDefinitions.forEach((definition) => {
+    room.npcs.set(definition.id, createNpcState(definition));
   });
 }
 
-function getConnectedPlayers() {
-  return Array.from(gameState.players.values()).filter((player) => player.connected);
+async function initializeRoom(room) {
+  // A brand-new world starts from the default world's layout. It stays in memory until
+  // its first player joins and claims it (see claimWorld), so nothing reaches storage
+  // for room codes nobody ends up playing in.
+  const isNewWorld = !(await worldExists(room.id));
+  const layoutWorldId = isNewWorld ? DEFAULT_ROOM_ID : room.id;
+
+  await initializeGame(room);
+  await initializeColliders(room, layoutWorldId);
+  await initializeObjects(room, layoutWorldId);
+  room.journal = await loadRoomJournal(room.id);
+  await initializeNpcs(room, layoutWorldId);
+  if (!isNewWorld) {
+    // Rewrite objects that loading normalized
+    persistObjects(room);
+  }
+  room.claimable = isNewWorld;
 }
 
-function assignFollowersToPlayers() {
-  const connectedPlayers = getConnectedPlayers();
-  if (connectedPlayers.length === 0) {
-    gameState.followers.forEach((follower) => {
-      follower.targetPlayerId = null;
-      follower.vx = 0;
-      follower.vy = 0;
+// Whether the account may create another world now
+function canCreateWorld(accountId, now = Date.now()) {
+  const recent = (newWorldsByAccount.get(accountId) || []).filter((time) => now - time < NEW_WORLD_WINDOW_MS);
+  newWorldsByAccount.set(accountId, recent);
+  return recent.length < NEW_WORLD_LIMIT;
+}
+
+// The first player to join a new world claims it, and the world gets its own saved copy
+async function claimWorld(room, accountId) {
+  room.claimable = false;
+  newWorldsByAccount.get(accountId)?.push(Date.now());
+  await persistColliders(room);
+  await persistObjects(room);
+  await persistNpcs(room);
+}
+
+// Get a room by id, creating and loading it on first use
+async function getOrCreateRoom(roomId) {
+  let room = rooms.get(roomId);
+  if (!room) {
+    room = createGameState(roomId);
+    room.ready = initializeRoom(room).catch((error) => {
+      // Don't keep a half-loaded room around; the next join retries the load
+      rooms.delete(roomId);
+      throw error;
     });
-    return;
+    rooms.set(roomId, room);
+    console.log(`Room "${roomId}" created`);
   }
+  await room.ready;
+  return room;
+}
 
-  const playerIds = connectedPlayers.map((player) => player.id);
-  const followers = Array.from(gameState.followers.values());
-
-  followers.forEach((follower, index) => {
-    const targetId = playerIds[index % playerIds.length];
-    if (follower.targetPlayerId !== targetId) {
-      follower.targetPlayerId = targetId;
-      const targetPlayer = gameState.players.get(targetId);
-      if (targetPlayer) {
-        follower.x = targetPlayer.x;
-        follower.y = targetPlayer.y;
-      }
-    }
-    follower.slot = index;
-  });
+function getClientRoom(client) {
+  return client.roomId ? rooms.get(client.roomId) || null : null;
 }
 
-function clampToWorld(entity) {
-  entity.x = Math.max(0, Math.min(GAME_CONFIG.WORLD_WIDTH, entity.x));
-  entity.y = Math.max(0, Math.min(GAME_CONFIG.WORLD_HEIGHT, entity.y));
+// Unload rooms nobody is using any more; their world stays on disk
+function disposeRoomIfEmpty(room) {
+  if (room.id === DEFAULT_ROOM_ID || room.clients.size > 0) {
+    return;
+  }
+  rooms.delete(room.id);
+  console.log(`Room "${room.id}" closed`);
 }
 
-function getObjectBounds(object) {
-  const width = Number.isFinite(object.width) ? object.width : GAME_CONFIG.OBJECT_WIDTH;
-  const height = Number.isFinite(object.height) ? object.height : GAME_CONFIG.OBJECT_HEIGHT;
-  return {
-    left: object.x - width / 2,
-    right: object.x + width / 2,
-    top: object.y - height,
-    bottom: object.y,
-    width,
-    height,
-  };
+// Persistence helpers, each room saves into its own world
+function persistState(room) {
+  return saveState(room.id, room).catch(console.error);
 }
 
-function objectsOverlap(objectA, objectB) {
-  const a = getObjectBounds(objectA);
-  const b = getObjectBounds(objectB);
-  return (
-    a.left < b.right &&
-    a.right > b.left &&
-    a.top < b.bottom &&
-    a.bottom > b.top
-  );
+function persistColliders(room) {
+  return saveColliders(room.id, getColliders(room.collision)).catch(console.error);
 }
 
-function pointInObject(x, y, object) {
-  const bounds = getObjectBounds(object);
-  return (
-    x >= bounds.left &&
-    x <= bounds.right &&
-    y >= bounds.top &&
-    y <= bounds.bottom
-  );
+function persistObjects(room) {
+  return saveObjects(room.id, room.objects).catch(console.error);
 }
 
-function normalizeObjectData(raw) {
-  if (!raw) {
-    return null;
-  }
+function persistNpcs(room) {
+  return saveNpcs(room.id, room.npcDefinitions).catch(console.error);
+}
 
-  const id = typeof raw.id === 'string'
-    ? raw.id
-    : `object_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+// Single edits only write what changed, so large worlds aren't rewritten per click
+function persistColliderChange(room, tiles, added) {
+  const write = added ? addColliders : removeColliders;
+  return write(room.id, tiles).catch(console.error);
+}
 
-  let x = Number(raw.x);
-  let y = Number(raw.y);
+function persistObjectChange(room, object, removed = false) {
+  const write = removed ? removeObject(room.id, object.id) : saveObject(room.id, object);
+  return write.catch(console.error);
+}
 
-  if (!Number.isFinite(x) || !Number.isFinite(y)) {
-    const col = Number.isFinite(Number(raw.col)) ? Number(raw.col) : null;
-    const row = Number.isFinite(Number(raw.row)) ? Number(raw.row) : null;
-    if (col !== null && row !== null) {
-      x = (col + 0.5) * GAME_CONFIG.TILE_SIZE;
-      y = (row + 1) * GAME_CONFIG.TILE_SIZE;
+// World edits shared by the edit handlers and undo/redo.
+// Each one updates the room, tells every client and persists the change.
+function applyColliderEdit(room, tiles, placing) {
+  const changed = placing
+    ? addColliderTiles(room.collision, tiles)
+    : removeColliderTiles(room.collision, tiles);
+  if (changed?.length > 0) {
+    if (placing) {
+      broadcastCollidersPlaced(room, changed);
+    } else {
+      broadcastCollidersRemoved(room, changed);
     }
+    persistColliderChange(room, changed, placing);
   }
+  return changed;
+}
 
-  if (!Number.isFinite(x) || !Number.isFinite(y)) {
-    return null;
-  }
-
-  const width = Number.isFinite(raw.width) ? raw.width : GAME_CONFIG.OBJECT_WIDTH;
-  const height = Number.isFinite(raw.height) ? raw.height : GAME_CONFIG.OBJECT_HEIGHT;
-
-  return {
-    id,
-    x,
-    y,
-    width,
-    height,
-    imageSrc: typeof raw.imageSrc === 'string' ? raw.imageSrc : '',
-    text: typeof raw.text === 'string' ? raw.text : '',
-    createdAt: raw.createdAt || Date.now(),
-    updatedAt: raw.updatedAt || Date.now(),
-  };
+function applyObjectPlaced(room, object) {
+  room.objects.set(object.id, object);
+  addObjectCollider(room.collision, object);
+  broadcastObjectPlaced(room, object);
+  persistObjectChange(room, object);
 }
 
-function updateFollowers(deltaSeconds) {
-  gameState.followers.forEach((follower) => {
-    if (!follower.targetPlayerId) {
-      follower.vx = 0;
-      follower.vy = 0;
-      return;
+function applyObjectRemoved(room, object) {
+  // Nobody keeps sitting on furniture that is gone
+  room.players.forEach((player) => {
+    if (player.seat?.objectId === object.id) {
+      standUp(room, player);
     }
+  });
+  room.objects.delete(object.id);
+  removeObjectCollider(room.collision, object.id);
+  broadcastObjectRemoved(room, object.id);
+  persistObjectChange(room, object, true);
+}
 
-    const target = gameState.players.get(follower.targetPlayerId);
-    if (!target || !target.connected) {
-      follower.targetPlayerId = null;
-      follower.vx = 0;
-      follower.vy = 0;
-      return;
-    }
+// Apply a journal op for undo/redo. Changes others already made (e.g. a tile
+// that is gone anyway) are skipped; returns false only when the edit is blocked.
+function applyJournalOp(room, op, entry) {
+  switch (op) {
+    case JOURNAL_OPS.PLACE_COLLIDERS:
+    case JOURNAL_OPS.REMOVE_COLLIDERS:
+      applyColliderEdit(room, entry.tiles || [], op === JOURNAL_OPS.PLACE_COLLIDERS);
+      return true;
 
-    // Increase following distance by 4x if target player is sitting
-    const distanceMultiplier = target.sitting ? 4 : 1.3;
-    
-    const baseOffset = GAME_CONFIG.TILE_SIZE * 1.8 * distanceMultiplier;
-    const trailingFactor = 0.25;
-    const angle = follower.slot % 2 === 0 ? Math.PI / 6 : -Math.PI / 6;
-    const targetSpeed = Math.hypot(target.vx, target.vy);
-
-    const offsetX = -Math.cos(angle) * baseOffset - target.vx * trailingFactor;
-    const offsetY = -Math.sin(angle) * baseOffset - target.vy * trailingFactor;
-    const targetX = target.x + offsetX;
-    const targetY = target.y + offsetY;
-
-    const dx = targetX - follower.x;
-    const dy = targetY - follower.y;
-    const distance = Math.hypot(dx, dy);
-    const desiredDistance = GAME_CONFIG.TILE_SIZE * 0.8 * distanceMultiplier;
-
-    const speed = Math.max(60, GAME_CONFIG.FOLLOWER_SPEED - targetSpeed * 0.15);
-    const maxStep = speed * deltaSeconds;
-
-    if (distance <= desiredDistance) {
-      follower.vx *= 0.4;
-      follower.vy *= 0.4;
-      if (Math.abs(follower.vx) < 2) follower.vx = 0;
-      if (Math.abs(follower.vy) < 2) follower.vy = 0;
-      return;
-    }
+    case JOURNAL_OPS.PLACE_OBJECT:
+      if (room.objects.has(entry.object.id)) {
+        return true;
+      }
+      if (overlapsAnyObject(room, entry.object)) {
+        return false;
+      }
+      applyObjectPlaced(room, { ...entry.object, updatedAt: Date.now() });
+      return true;
 
-    if (distance > 0) {
-      const move = Math.min(maxStep, Math.max(0, distance - desiredDistance));
-      const ux = dx / distance;
-      const uy = dy / distance;
-      follower.x += ux * move;
-      follower.y += uy * move;
-      follower.vx = ux * speed;
-      follower.vy = uy * speed;
-      if (move < 1.5) {
-        follower.vx = 0;
-        follower.vy = 0;
+    case JOURNAL_OPS.REMOVE_OBJECT: {
+      const object = room.objects.get(entry.object.id);
+      if (object) {
+        applyObjectRemoved(room, object);
       }
-      clampToWorld(follower);
+      return true;
     }
-  });
-}
 
-// Player collision radius (for checking collisions)
-const PLAYER_RADIUS = 10; // Half of typical player sprite size
-
-/**
- * Check if a player can move to a position (collision detection)
- */
-function canMoveTo(x, y) {
-  // Check multiple points around the player for better collision detection
-  const checkPoints = [
-    { x: x, y: y }, // Center
-    { x: x - PLAYER_RADIUS, y: y }, // Left
-    { x: x + PLAYER_RADIUS, y: y }, // Right
-    { x: x, y: y - PLAYER_RADIUS }, // Top
-    { x: x, y: y + PLAYER_RADIUS * 0.01 }, // Bottom
-    { x: x - PLAYER_RADIUS * 0.7, y: y - PLAYER_RADIUS * 0.4 }, // Top-left
-    { x: x + PLAYER_RADIUS * 0.7, y: y - PLAYER_RADIUS * 0.4 }, // Top-right
-    { x: x - PLAYER_RADIUS * 0.7, y: y + PLAYER_RADIUS * 0.01 }, // Bottom-left
-    { x: x + PLAYER_RADIUS * 0.7, y: y + PLAYER_RADIUS * 0.01 }, // Bottom-right
-  ];
-  
-  // Check all points - if any are collidable, movement is blocked
-  for (const point of checkPoints) {
-    if (isCollidable(point.x, point.y)) {
+    default:
       return false;
-    }
   }
-  
-  return true;
 }
 
-// Process player input and update position
-function processPlayerInput(player, input) {
-  const { keys, seq } = input;
-  const deltaTime = GAME_CONFIG.TICK_INTERVAL / 1000; // Convert to seconds
-  
-  // Update velocity based on input
-  let vx = 0;
-  let vy = 0;
-  
-  if (keys.up || keys.w) vy -= GAME_CONFIG.PLAYER_SPEED;
-  if (keys.down || keys.s) vy += GAME_CONFIG.PLAYER_SPEED;
-  if (keys.left || keys.a) vx -= GAME_CONFIG.PLAYER_SPEED;
-  if (keys.right || keys.d) vx += GAME_CONFIG.PLAYER_SPEED;
-  
-  // Normalize diagonal movement
-  if (vx !== 0 && vy !== 0) {
-    const length = Math.sqrt(vx * vx + vy * vy);
-    vx = (vx / length) * GAME_CONFIG.PLAYER_SPEED;
-    vy = (vy / length) * GAME_CONFIG.PLAYER_SPEED;
-  }
-  
-  // Update velocity
-  player.vx = vx;
-  player.vy = vy;
-  
-  // Calculate new position
-  const newX = player.x + vx * deltaTime;
-  const newY = player.y + vy * deltaTime;
-  
-  // Check collisions and update position
-  let finalX = player.x;
-  let finalY = player.y;
-  
-  // Try to move in X direction first
-  if (vx !== 0) {
-    if (canMoveTo(newX, player.y)) {
-      finalX = newX;
-    } else {
-      // Stop X movement if collision
-      player.vx = 0;
-    }
-  }
-  
-  // Then try to move in Y direction
-  if (vy !== 0) {
-    if (canMoveTo(finalX, newY)) {
-      finalY = newY;
-    } else {
-      // Stop Y movement if collision
-      player.vy = 0;
-    }
-  }
-  
-  // Apply final position
-  player.x = finalX;
-  player.y = finalY;
-  
-  // Basic boundary checks (keep player within world bounds)
-  player.x = Math.max(0, Math.min(GAME_CONFIG.WORLD_WIDTH, player.x));
-  player.y = Math.max(0, Math.min(GAME_CONFIG.WORLD_HEIGHT, player.y));
-  
-  player.lastInputSeq = Math.max(player.lastInputSeq, seq);
+function getEditAuthor(client, room) {
+  return {
+    author: client.playerId,
+    authorName: room.players.get(client.playerId)?.name || null,
+  };
+}
+
+function overlapsAnyObject(room, object) {
+  return findObjectsInBounds(room.collision, getObjectBounds(object)).length > 0;
+}
+
+function getObjectAt(room, x, y) {
+  const id = findObjectAt(room.collision, x, y);
+  return id ? room.objects.get(id) || null : null;
+}
+
+// Inputs waiting for their tick; a client that runs ahead loses its oldest ones
+const MAX_QUEUED_INPUTS = 6;
+
+// Advance a player one tick with the keys of one input (the same step the client predicts)
+function processPlayerInput(room, player, input) {
+  const next = stepPlayer(room.collision, player, input.keys);
+  player.x = next.x;
+  player.y = next.y;
+  player.vx = next.vx;
+  player.vy = next.vy;
   player.lastUpdate = Date.now();
 }
 
-// Game tick - runs at 20 TPS
+// Game tick - runs at 20 TPS for every active room
 function gameTick() {
+  for (const room of rooms.values()) {
+    roomTick(room);
+  }
+}
+
+function roomTick(room) {
   const now = Date.now();
-  const deltaTime = now - gameState.lastTick;
+  const deltaTime = now - room.lastTick;
   const clampedDelta = Math.min(Math.max(deltaTime, GAME_CONFIG.TICK_INTERVAL), GAME_CONFIG.TICK_INTERVAL * 4);
   const deltaSeconds = clampedDelta / 1000;
   
   // Check for ending hugs
-  for (const player of gameState.players.values()) {
+  for (const player of room.players.values()) {
     if (player.connected && player.hugging && player.hugEndTime > 0 && now >= player.hugEndTime) {
       player.hugging = false;
       player.hugEndTime = 0;
-      broadcastHugEnded(player.id);
+      broadcastHugEnded(room, player.id);
     }
   }
   
-  // Process inputs for all connected players
-  for (const player of gameState.players.values()) {
+  // Process one queued input per connected player. Each input is one tick of movement,
+  // which is what lets the client predict it; no input means standing still.
+  for (const player of room.players.values()) {
     if (player.connected) {
+      const input = player.inputQueue.shift();
+      if (input) {
+        // Echoed in state updates so the client knows which inputs to replay
+        player.lastInputSeq = input.seq;
+      }
+
       // Don't process movement input if hugging or sitting
-      if (player.hugging || player.sitting) {
+      if (!input || player.hugging || player.sitting) {
         player.vx = 0;
         player.vy = 0;
         continue;
       }
-      
-      if (player.lastInput) {
-        // Process the last known input state continuously during each tick
-        processPlayerInput(player, player.lastInput);
-      } else {
-        // No input - stop movement
-        player.vx = 0;
-        player.vy = 0;
-      }
+
+      processPlayerInput(room, player, input);
     }
   }
 
-  updateFollowers(deltaSeconds);
+  updatePets(room, deltaSeconds);
+  updateNpcs(room, deltaSeconds);
   
-  gameState.tick++;
-  gameState.lastTick = now;
+  room.tick++;
+  room.lastTick = now;
   
-  // Broadcast state to all connected clients
-  broadcastState();
+  // Broadcast state to all clients in the room
+  broadcastState(room);
 }
 
-// Broadcast game state to all connected clients
-function broadcastState() {
-  if (!wss) return;
-  
-  const state = {
+// Send a message to every open socket in a room
+function broadcastToRoom(room, message, { except = null, joinedOnly = false } = {}) {
+  const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
+  room.clients.forEach((client) => {
+    if (client === except || client.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    if (joinedOnly && !client.playerId) {
+      return;
+    }
+    client.send(messageStr);
+  });
+}
+
+// Broadcast game state to all connected clients in a room
+// Collider and object changes have their own events, so state updates only carry
+// players and followers: a delta against each client's last acked tick, or a keyframe
+function broadcastState(room) {
+  const snapshot = recordSnapshot(room);
+  const header = {
     type: MESSAGE_TYPES.STATE_UPDATE,
-    tick: gameState.tick,
     timestamp: Date.now(),
-    players: Array.from(gameState.players.values())
-      .filter(p => p.connected)
-      .map(p => ({
-        id: p.id,
-        name: p.name,
-        color: p.color,
-        x: Math.round(p.x * 100) / 100, // Round to 2 decimal places
-        y: Math.round(p.y * 100) / 100,
-        vx: p.vx,
-        vy: p.vy,
-        hugging: p.hugging || false,
-        hugEndTime: p.hugEndTime || 0,
-        sitting: p.sitting || false,
-      })),
-    followers: Array.from(gameState.followers.values()),
-    objects: Array.from(gameState.objects.values()),
-    colliders: getColliders(),
   };
-  
-  const message = JSON.stringify(state);
-  
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN && client.playerId) {
-      client.send(message);
+  // Clients that acked the same tick (and use the same wire format) share one encoded frame
+  const updates = new Map();
+  const frames = new Map();
+
+  room.clients.forEach((client) => {
+    if (!client.playerId || client.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    const base = getDeltaBase(room, client);
+    const baseKey = base ? base.tick : 'keyframe';
+    const frameKey = `${baseKey}:${client.binaryProtocol ? 'binary' : 'json'}`;
+    if (!frames.has(frameKey)) {
+      if (!updates.has(baseKey)) {
+        updates.set(baseKey, encodeSnapshot(snapshot, base, header));
+      }
+      const update = updates.get(baseKey);
+      frames.set(frameKey, client.binaryProtocol ? encodeStateUpdate(update) : JSON.stringify(update));
     }
+    if (!base) {
+      client.lastKeyframeTick = snapshot.tick;
+    }
+    client.send(frames.get(frameKey));
   });
 }
 
-function broadcastColliderPlaced(tile) {
-  if (!wss) return;
-
-  const message = JSON.stringify({
+function broadcastColliderPlaced(room, tile) {
+  broadcastToRoom(room, {
     type: MESSAGE_TYPES.COLLIDER_PLACED,
     collider: tile,
   });
-
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
-  });
 }
 
-function broadcastColliderRemoved(tile) {
-  if (!wss) return;
-
-  const message = JSON.stringify({
+function broadcastColliderRemoved(room, tile) {
+  broadcastToRoom(room, {
     type: MESSAGE_TYPES.COLLIDER_REMOVED,
     collider: tile,
   });
+}
 
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
+// One message for a whole batch, so clients apply it as a single delta
+function broadcastCollidersPlaced(room, tiles) {
+  broadcastToRoom(room, {
+    type: MESSAGE_TYPES.COLLIDERS_PLACED,
+    colliders: tiles,
+  });
+}
+
+function broadcastCollidersRemoved(room, tiles) {
+  broadcastToRoom(room, {
+    type: MESSAGE_TYPES.COLLIDERS_REMOVED,
+    colliders: tiles,
   });
 }
 
-function broadcastObjectPlaced(object) {
-  if (!wss) return;
-  const message = JSON.stringify({
+function broadcastObjectPlaced(room, object) {
+  broadcastToRoom(room, {
     type: MESSAGE_TYPES.OBJECT_PLACED,
     object,
   });
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
-  });
 }
 
-function broadcastObjectRemoved(objectId) {
-  if (!wss) return;
-  const message = JSON.stringify({
+function broadcastObjectRemoved(room, objectId) {
+  broadcastToRoom(room, {
     type: MESSAGE_TYPES.OBJECT_REMOVED,
     objectId,
   });
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
-  });
 }
 
 // Handle incoming messages
-function handleMessage(client, message) {
+function handleMessage(client, message, isBinary) {
   try {
-    const data = JSON.parse(message);
+    const data = isBinary ? decodeMessage(message) : JSON.parse(message);
+    // Handlers can rely on field types from here on; range and game rules are still theirs
+    const problem = validateClientMessage(data);
+    if (problem) {
+      sendError(client, problem.message, ERROR_CODES.INVALID_MESSAGE, problem.field);
+      return;
+    }
     switch (data.type) {
       case MESSAGE_TYPES.JOIN:
-        handleJoin(client, data);
+        handleJoin(client, data).catch((error) => {
+          console.error('Error joining room:', error);
+          sendError(client, 'Failed to join room');
+        });
         break;
         
       case MESSAGE_TYPES.INPUT:
         handleInput(client, data);
         break;
         
+      case MESSAGE_TYPES.STATE_ACK:
+        handleStateAck(client, data);
+        break;
+
       case MESSAGE_TYPES.RESET_POSITION:
         handleResetPosition(client);
         break;
@@ -524,6 +549,14 @@ function handleMessage(client, message) {
         handleRemoveCollider(client, data);
         break;
 
+      case MESSAGE_TYPES.PLACE_COLLIDERS:
+        handleColliderBatch(client, data, true);
+        break;
+
+      case MESSAGE_TYPES.REMOVE_COLLIDERS:
+        handleColliderBatch(client, data, false);
+        break;
+
       case MESSAGE_TYPES.PLACE_OBJECT:
         handlePlaceObject(client, data);
         break;
@@ -536,12 +569,36 @@ function handleMessage(client, message) {
         handleHug(client, data);
         break;
         
-      case MESSAGE_TYPES.BENCH_SIT:
-        handleBenchSit(client, data);
+      case MESSAGE_TYPES.SIT:
+        handleSit(client, data);
+        break;
+        
+      case MESSAGE_TYPES.STAND:
+        handleStand(client, data);
+        break;
+        
+      case MESSAGE_TYPES.TALK:
+        handleTalk(client, data);
         break;
         
-      case MESSAGE_TYPES.BENCH_STAND:
-        handleBenchStand(client, data);
+      case MESSAGE_TYPES.SET_APPEARANCE:
+        handleSetAppearance(client, data);
+        break;
+        
+      case MESSAGE_TYPES.SET_PET:
+        handleSetPet(client, data);
+        break;
+        
+      case MESSAGE_TYPES.UNDO:
+        handleUndoRedo(client, false);
+        break;
+
+      case MESSAGE_TYPES.REDO:
+        handleUndoRedo(client, true);
+        break;
+
+      case MESSAGE_TYPES.SET_ROLE:
+        handleSetRole(client, data);
         break;
         
       default:
@@ -554,69 +611,159 @@ function handleMessage(client, message) {
 }
 
 // Handle player join
-function handleJoin(client, data) {
-  const { name, character } = data;
+async function handleJoin(client, data) {
+  const { character } = data;
+  const roomId = normalizeRoomId(data.room);
+  // Room codes are used as given, so a code that normalizing would change is refused
+  const roomCode = typeof data.room === 'string' ? data.room.trim().toLowerCase() : '';
+  if (roomCode && roomCode !== roomId) {
+    sendError(client, `Room codes use only letters, digits, '-' and '_' (at most ${MAX_ROOM_ID_LENGTH})`, ERROR_CODES.INVALID_MESSAGE, 'room');
+    return;
+  }
   
   // Validate character
-  const validCharacter = (character === '1' || character === '2') ? character : '1';
+  const validCharacter = resolveCharacter(character);
+  
+  // Resolve the account before touching any room, so a bad login leaves the socket as it was
+  let session;
+  try {
+    session = await authenticate({
+      token: data.token,
+      name: data.name,
+      passphrase: data.passphrase,
+    });
+  } catch (error) {
+    if (!(error instanceof AccountError)) {
+      throw error;
+    }
+    client.failedLogins = (client.failedLogins || 0) + 1;
+    sendError(client, error.message, ERROR_CODES.AUTH_FAILED);
+    if (client.failedLogins >= MAX_FAILED_LOGINS) {
+      client.close();
+    }
+    return;
+  }
+  const { account, token } = session;
+  if (client.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  
+  // A socket that joins again (e.g. switching rooms) leaves its previous room first
+  if (client.playerId) {
+    leaveRoom(client);
+  }
+  
+  const room = await getOrCreateRoom(roomId);
+  if (client.readyState !== WebSocket.OPEN) {
+    disposeRoomIfEmpty(room);
+    return;
+  }
+  if (room.claimable && !canCreateWorld(account.id)) {
+    sendError(client, 'Too many new worlds, try again later', ERROR_CODES.FORBIDDEN);
+    disposeRoomIfEmpty(room);
+    return;
+  }
+  
+  // The same account signing in again takes over its older connection in this room
+  const previousClient = Array.from(room.clients).find((other) => other.playerId === account.id);
+  if (previousClient) {
+    room.clients.delete(previousClient);
+    previousClient.playerId = null;
+    previousClient.roomId = null;
+    const previousPlayer = room.players.get(account.id);
+    previousPlayer.connected = false;
+    if (previousPlayer.sitting) {
+      standUp(room, previousPlayer);
+    }
+    sendError(previousClient, 'Signed in from another window', ERROR_CODES.SESSION_REPLACED);
+  }
   
   // Check if room is full
-  const connectedCount = Array.from(gameState.players.values())
+  const connectedCount = Array.from(room.players.values())
     .filter(p => p.connected).length;
   
   if (connectedCount >= GAME_CONFIG.MAX_PLAYERS) {
-    sendError(client, 'Room is full. Maximum 2 players allowed.');
+    sendError(client, `Room "${room.id}" is full. Maximum ${GAME_CONFIG.MAX_PLAYERS} players allowed.`);
+    disposeRoomIfEmpty(room);
     return;
   }
   
-  // Generate or reuse player ID
-  let playerId = data.playerId;
-  if (!playerId || !gameState.players.has(playerId)) {
-    playerId = `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }
+  // Accounts keep the same player id in every room
+  const playerId = account.id;
+  const name = account.name;
   
   // Get or create player state
-  let player = gameState.players.get(playerId);
+  let player = room.players.get(playerId);
   if (!player) {
-    player = createPlayerState(playerId, name || 'Player', validCharacter);
+    player = createPlayerState(playerId, name, validCharacter);
+    player.appearance = resolveAppearance(null, validCharacter);
     // Start at different positions for multiple players
-    const existingPlayers = Array.from(gameState.players.values()).filter(p => p.connected);
+    const existingPlayers = Array.from(room.players.values()).filter(p => p.connected);
     const spawnIndex = Math.min(existingPlayers.length, SPAWN_POINTS.length - 1);
     const spawn = SPAWN_POINTS[spawnIndex] || SPAWN_POINTS[SPAWN_POINTS.length - 1];
     player.x = spawn.col * GAME_CONFIG.TILE_SIZE + GAME_CONFIG.TILE_SIZE / 2;
     player.y = (spawn.row + 1) * GAME_CONFIG.TILE_SIZE;
   } else {
-    // Reconnecting player - update name and character if provided
+    // Reconnecting player - update name, and character if another one was picked
     player.connected = true;
-    player.name = name || player.name;
-    // Always update character if provided (validCharacter is always set from validation)
-    player.character = validCharacter;
+    player.name = name;
+    // The character creator sends no character; its appearance is kept as saved
+    if (character != null && validCharacter !== player.character) {
+      player.character = validCharacter;
+      player.appearance = resolveAppearance(null, validCharacter);
+    }
+  }
+  
+  // Configured owners always get owner rights; so does whoever creates a new world
+  if (WORLD_OWNERS.has(name.toLowerCase()) || room.claimable) {
+    player.role = ROLES.OWNER;
+  }
+  if (room.claimable) {
+    await claimWorld(room, account.id);
   }
   
-  gameState.players.set(playerId, player);
+  // Input sequence numbers start over with every connection
+  player.inputQueue = [];
+  player.lastInputSeq = 0;
+
+  room.players.set(playerId, player);
+  room.clients.add(client);
   client.playerId = playerId;
-  assignFollowersToPlayers();
+  client.roomId = room.id;
+  resetClientSnapshots(client);
+  // Binary frames for input and state updates when both sides speak the same version
+  client.binaryProtocol = BINARY_ENABLED && data.binary === BINARY_PROTOCOL_VERSION;
+  syncPets(room);
   
   // Send welcome message
   const welcome = {
     type: MESSAGE_TYPES.WELCOME,
     playerId: playerId,
+    roomId: room.id,
+    name,
+    role: player.role,
+    sessionToken: token,
+    binary: client.binaryProtocol,
     gameState: {
-      tick: gameState.tick,
-      players: Array.from(gameState.players.values())
+      tick: room.tick,
+      players: Array.from(room.players.values())
         .filter(p => p.connected)
         .map(p => ({
           id: p.id,
           name: p.name,
           character: p.character,
+          appearance: p.appearance,
+          role: p.role,
           x: p.x,
           y: p.y,
           vx: p.vx,
           vy: p.vy,
+          seat: describeSeat(room, p),
         })),
-      followers: Array.from(gameState.followers.values()),
-      objects: Array.from(gameState.objects.values()),
-      colliders: getColliders(),
+      followers: Array.from(room.followers.values()).map(snapshotFollower),
+      npcs: Array.from(room.npcs.values()).map(snapshotNpc),
+      objects: Array.from(room.objects.values()),
+      colliders: getColliders(room.collision),
     },
   };
   
@@ -629,44 +776,126 @@ function handleJoin(client, data) {
         id: player.id,
         name: player.name,
         character: player.character,
+        appearance: player.appearance,
+        role: player.role,
         x: player.x,
         y: player.y,
       },
   };
   
-  broadcastToOthers(client, playerJoined);
+  broadcastToRoom(room, playerJoined, { except: client });
   
   // Save state
-  saveState(gameState).catch(console.error);
+  persistState(room);
   
-  console.log(`Player ${playerId} (${player.name}) joined with character ${player.character}. Total: ${connectedCount + 1}`);
+  console.log(`Player ${playerId} (${player.name}) joined room "${room.id}" with character ${player.character}. Total: ${connectedCount + 1}`);
 }
 
 // Handle player input
 function handleInput(client, data) {
-  if (!client.playerId) {
-    sendError(client, 'Not authenticated');
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
     return;
   }
   
-  const player = gameState.players.get(client.playerId);
+  const player = room.players.get(client.playerId);
   if (!player || !player.connected) {
     sendError(client, 'Player not found');
     return;
   }
   
-  // Store the last input for continuous processing during game ticks
-  player.lastInput = data.input;
+  // Queue the input for the next free tick.
+  // Copy only what the tick uses rather than keeping the client's object.
+  player.inputQueue.push({
+    keys: { ...data.input.keys },
+    seq: data.input.seq,
+  });
+  if (player.inputQueue.length > MAX_QUEUED_INPUTS) {
+    player.inputQueue.shift();
+  }
   
   // Save state periodically (every 10 ticks = 0.5 seconds)
-  if (gameState.tick % 10 === 0) {
-    saveState(gameState).catch(console.error);
+  if (room.tick % 10 === 0) {
+    persistState(room);
+  }
+}
+
+// Clients ack every state update they applied; the newest ack is the next delta's base
+function handleStateAck(client, data) {
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  const tick = Number(data?.tick);
+  if (!Number.isInteger(tick) || tick < 0 || tick > room.tick) {
+    return;
+  }
+  acknowledgeTick(client, tick);
+}
+
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.EDIT_WORLD]: 'edit this world',
+  [PERMISSIONS.MANAGE_ROLES]: 'change roles',
+};
+
+// Check the sender's role in its room, answering with a `forbidden` error when it falls short
+function requirePermission(client, room, permission) {
+  const role = normalizeRole(room.players.get(client.playerId)?.role);
+  if (roleHasPermission(role, permission)) {
+    return true;
+  }
+  sendError(client, `The ${role} role is not allowed to ${PERMISSION_DESCRIPTIONS[permission]}`, ERROR_CODES.FORBIDDEN);
+  return false;
+}
+
+// Owners change other players' roles in their world
+function handleSetRole(client, data) {
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  if (!requirePermission(client, room, PERMISSIONS.MANAGE_ROLES)) {
+    return;
   }
+
+  const target = typeof data?.playerId === 'string' ? room.players.get(data.playerId) : null;
+  if (!target) {
+    sendError(client, 'Unknown player');
+    return;
+  }
+  if (!Object.values(ROLES).includes(data?.role)) {
+    sendError(client, `Invalid role: ${data?.role}`);
+    return;
+  }
+  // Keeps a world from losing its last owner by accident
+  if (target.id === client.playerId) {
+    sendError(client, 'Owners cannot change their own role');
+    return;
+  }
+
+  target.role = data.role;
+  broadcastToRoom(room, {
+    type: MESSAGE_TYPES.ROLE_CHANGED,
+    playerId: target.id,
+    role: target.role,
+  });
+  persistState(room);
+  console.log(`Player ${target.id} is now ${target.role} in room "${room.id}"`);
 }
 
 function handlePlaceCollider(client, data) {
-  if (!client.playerId) {
-    sendError(client, 'Not authenticated');
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  if (!requirePermission(client, room, PERMISSIONS.EDIT_WORLD)) {
     return;
   }
 
@@ -674,22 +903,33 @@ function handlePlaceCollider(client, data) {
   const row = Number(data?.row);
 
   if (!Number.isInteger(col) || !Number.isInteger(row)) {
-    sendError(client, 'Invalid collider coordinates');
+    sendError(client, 'Invalid collider coordinates', ERROR_CODES.INVALID_EDIT);
     return;
   }
 
-  const added = addColliderTile(col, row);
+  if (col < 0 || col >= GAME_CONFIG.WORLD_COLS || row < 0 || row >= GAME_CONFIG.WORLD_ROWS) {
+    sendError(client, 'Collider coordinates out of bounds', ERROR_CODES.INVALID_EDIT);
+    return;
+  }
+
+  const added = addColliderTile(room.collision, col, row);
   if (!added) {
     return;
   }
 
-  broadcastColliderPlaced({ col, row });
-  saveColliders(getColliders()).catch(console.error);
+  broadcastColliderPlaced(room, { col, row });
+  persistColliderChange(room, [{ col, row }], true);
+  recordEdit(room.journal, getEditAuthor(client, room), JOURNAL_OPS.PLACE_COLLIDERS, { tiles: [{ col, row }] });
 }
 
 function handleRemoveCollider(client, data) {
-  if (!client.playerId) {
-    sendError(client, 'Not authenticated');
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  if (!requirePermission(client, room, PERMISSIONS.EDIT_WORLD)) {
     return;
   }
 
@@ -697,22 +937,60 @@ function handleRemoveCollider(client, data) {
   const row = Number(data?.row);
 
   if (!Number.isInteger(col) || !Number.isInteger(row)) {
-    sendError(client, 'Invalid collider coordinates');
+    sendError(client, 'Invalid collider coordinates', ERROR_CODES.INVALID_EDIT);
     return;
   }
 
-  const removed = removeColliderTile(col, row);
+  const removed = removeColliderTile(room.collision, col, row);
   if (!removed) {
     return;
   }
 
-  broadcastColliderRemoved({ col, row });
-  saveColliders(getColliders()).catch(console.error);
+  broadcastColliderRemoved(room, { col, row });
+  persistColliderChange(room, [{ col, row }], false);
+  recordEdit(room.journal, getEditAuthor(client, room), JOURNAL_OPS.REMOVE_COLLIDERS, { tiles: [{ col, row }] });
+}
+
+// Rectangle, line, fill and brush strokes from the editor arrive as one batch of tiles
+function handleColliderBatch(client, data, placing) {
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  if (!requirePermission(client, room, PERMISSIONS.EDIT_WORLD)) {
+    return;
+  }
+
+  // The protocol schema already limits the batch size and checks that tiles are integers
+  const tiles = data.tiles.map(({ col, row }) => ({ col, row }));
+  const changed = applyColliderEdit(room, tiles, placing);
+  if (!changed) {
+    sendError(client, 'Collider batch has out of bounds tiles', ERROR_CODES.INVALID_EDIT);
+    return;
+  }
+  if (changed.length === 0) {
+    return;
+  }
+
+  const op = placing ? JOURNAL_OPS.PLACE_COLLIDERS : JOURNAL_OPS.REMOVE_COLLIDERS;
+  recordEdit(room.journal, getEditAuthor(client, room), op, { tiles: changed });
 }
 
 function handlePlaceObject(client, data) {
-  if (!client.playerId) {
-    sendError(client, 'Not authenticated');
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  if (!requirePermission(client, room, PERMISSIONS.EDIT_WORLD)) {
+    return;
+  }
+
+  if (data?.furniture !== undefined && !getFurnitureType(data)) {
+    sendError(client, `Unknown furniture type: ${data.furniture}`, ERROR_CODES.INVALID_EDIT);
     return;
   }
 
@@ -725,10 +1003,11 @@ function handlePlaceObject(client, data) {
     text: data?.text,
     width: data?.width,
     height: data?.height,
+    furniture: data?.furniture,
   });
 
   if (!objectData) {
-    sendError(client, 'Invalid object coordinates');
+    sendError(client, 'Invalid object coordinates', ERROR_CODES.INVALID_EDIT);
     return;
   }
 
@@ -738,15 +1017,12 @@ function handlePlaceObject(client, data) {
     objectData.y < 0 ||
     objectData.y > GAME_CONFIG.WORLD_HEIGHT
   ) {
-    sendError(client, 'Object coordinates out of bounds');
+    sendError(client, 'Object coordinates out of bounds', ERROR_CODES.INVALID_EDIT);
     return;
   }
 
-  const overlaps = Array.from(gameState.objects.values()).some((existing) =>
-    objectsOverlap(existing, objectData),
-  );
-
-  if (overlaps) {
+  if (overlapsAnyObject(room, objectData)) {
+    sendError(client, 'Object overlaps an existing object', ERROR_CODES.INVALID_EDIT);
     return;
   }
 
@@ -754,33 +1030,30 @@ function handlePlaceObject(client, data) {
   objectData.createdAt = now;
   objectData.updatedAt = now;
 
-  gameState.objects.set(objectData.id, objectData);
-  addObjectCollider(objectData);
-
-  broadcastObjectPlaced(objectData);
-
-  saveObjects(gameState.objects).catch(console.error);
+  applyObjectPlaced(room, objectData);
+  recordEdit(room.journal, getEditAuthor(client, room), JOURNAL_OPS.PLACE_OBJECT, { object: { ...objectData } });
 }
 
 function handleRemoveObject(client, data) {
-  if (!client.playerId) {
-    sendError(client, 'Not authenticated');
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  if (!requirePermission(client, room, PERMISSIONS.EDIT_WORLD)) {
     return;
   }
 
   const id = typeof data?.id === 'string' ? data.id : null;
-  let object = id ? gameState.objects.get(id) : null;
+  let object = id ? room.objects.get(id) : null;
 
   if (
     !object &&
     Number.isFinite(Number(data?.x)) &&
     Number.isFinite(Number(data?.y))
   ) {
-    const x = Number(data.x);
-    const y = Number(data.y);
-    object = Array.from(gameState.objects.values()).find(
-      (entry) => pointInObject(x, y, entry),
-    );
+    object = getObjectAt(room, Number(data.x), Number(data.y));
   }
 
   if (
@@ -790,23 +1063,50 @@ function handleRemoveObject(client, data) {
   ) {
     const col = Number(data.col);
     const row = Number(data.row);
-    const x = (col + 0.5) * GAME_CONFIG.TILE_SIZE;
-    const y = (row + 1) * GAME_CONFIG.TILE_SIZE;
-    object = Array.from(gameState.objects.values()).find(
-      (entry) => pointInObject(x, y, entry),
-    );
+    object = getObjectAt(room, (col + 0.5) * GAME_CONFIG.TILE_SIZE, (row + 1) * GAME_CONFIG.TILE_SIZE);
   }
 
   if (!object) {
     return;
   }
 
-  gameState.objects.delete(object.id);
-  removeObjectCollider(object.id);
+  applyObjectRemoved(room, object);
+  recordEdit(room.journal, getEditAuthor(client, room), JOURNAL_OPS.REMOVE_OBJECT, { object: { ...object } });
+}
 
-  broadcastObjectRemoved(object.id);
+// Each editor undoes and redoes only their own edits, newest first
+function handleUndoRedo(client, redo) {
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
 
-  saveObjects(gameState.objects).catch(console.error);
+  if (!requirePermission(client, room, PERMISSIONS.EDIT_WORLD)) {
+    return;
+  }
+
+  const target = redo
+    ? getRedoTarget(room.journal, client.playerId)
+    : getUndoTarget(room.journal, client.playerId);
+  if (!target) {
+    sendError(client, redo ? 'Nothing to redo' : 'Nothing to undo', ERROR_CODES.INVALID_EDIT);
+    return;
+  }
+
+  const op = redo ? target.op : INVERSE_OPS[target.op];
+  if (!applyJournalOp(room, op, target)) {
+    // The stacks stay as they are so the edit can be retried once the spot is free
+    sendError(client, `Cannot ${redo ? 'redo' : 'undo'}: an object is in the way`, ERROR_CODES.INVALID_EDIT);
+    return;
+  }
+
+  const author = getEditAuthor(client, room);
+  if (redo) {
+    recordRedo(room.journal, author, target);
+  } else {
+    recordUndo(room.journal, author, target);
+  }
 }
 
 // Hug proximity threshold (in pixels)
@@ -814,12 +1114,13 @@ const HUG_PROXIMITY_THRESHOLD = 60; // Players must be within 60 pixels
 const HUG_DURATION = 2000; // Hug lasts 2 seconds
 
 function handleHug(client, data) {
-  if (!client.playerId) {
-    sendError(client, 'Not authenticated');
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
     return;
   }
   
-  const player = gameState.players.get(client.playerId);
+  const player = room.players.get(client.playerId);
   if (!player || !player.connected) {
     return;
   }
@@ -830,7 +1131,7 @@ function handleHug(client, data) {
   }
   
   // Find the other connected player
-  const otherPlayers = Array.from(gameState.players.values())
+  const otherPlayers = Array.from(room.players.values())
     .filter(p => p.connected && p.id !== player.id);
   
   if (otherPlayers.length === 0) {
@@ -875,47 +1176,64 @@ function handleHug(client, data) {
   otherPlayer.vy = 0;
   
   // Broadcast hug started
-  broadcastHugStarted(player.id, otherPlayer.id);
+  broadcastHugStarted(room, player.id, otherPlayer.id);
 }
 
-function broadcastHugStarted(playerId1, playerId2) {
-  if (!wss) return;
-  
-  const message = JSON.stringify({
+function broadcastHugStarted(room, playerId1, playerId2) {
+  broadcastToRoom(room, {
     type: MESSAGE_TYPES.HUG_STARTED,
     playerId1,
     playerId2,
   });
-  
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
-  });
 }
 
-function broadcastHugEnded(playerId) {
-  if (!wss) return;
-  
-  const message = JSON.stringify({
+function broadcastHugEnded(room, playerId) {
+  broadcastToRoom(room, {
     type: MESSAGE_TYPES.HUG_ENDED,
     playerId,
   });
-  
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
+}
+
+function broadcastSeatChanged(room, player) {
+  broadcastToRoom(room, {
+    type: MESSAGE_TYPES.SEAT_CHANGED,
+    playerId: player.id,
+    seat: describeSeat(room, player),
+  });
+}
+
+function broadcastAppearanceChanged(room, player) {
+  broadcastToRoom(room, {
+    type: MESSAGE_TYPES.APPEARANCE_CHANGED,
+    playerId: player.id,
+    character: player.character,
+    appearance: player.appearance,
   });
 }
 
-function handleBenchSit(client, data) {
-  if (!client.playerId) {
-    sendError(client, 'Not authenticated');
+function standUp(room, player) {
+  const object = player.seat ? room.objects.get(player.seat.objectId) : null;
+  const position = object ? getSeatPosition(object, player.seat.name) : null;
+  if (position) {
+    player.x = position.standX;
+    player.y = position.standY;
+  }
+  player.vx = 0;
+  player.vy = 0;
+  player.sitting = false;
+  player.lastUpdate = Date.now();
+  releaseSeat(room, player);
+  broadcastSeatChanged(room, player);
+}
+
+function handleSit(client, data) {
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
     return;
   }
   
-  const player = gameState.players.get(client.playerId);
+  const player = room.players.get(client.playerId);
   if (!player || !player.connected) {
     sendError(client, 'Player not found');
     return;
@@ -926,57 +1244,40 @@ function handleBenchSit(client, data) {
     return;
   }
   
-  // Bench position and seat offsets (2-seated bench)
-  const BENCH_X = 2760;
-  const BENCH_Y = 1511;
-  const BENCH_SEAT_OFFSET = 14; // X offset for each seat
-  
-  // Check if player is near bench
-  const dx = player.x - BENCH_X;
-  const dy = player.y - BENCH_Y;
-  const distance = Math.sqrt(dx * dx + dy * dy);
-  
-  if (distance > 100) {
-    return; // Too far from bench
-  }
-  
-  // Count how many players are currently sitting
-  let sittingCount = 0;
-  for (const p of gameState.players.values()) {
-    if (p.connected && p.sitting) {
-      sittingCount++;
-    }
+  // The furniture the client aimed at, or else the nearest one in reach
+  const object = typeof data?.objectId === 'string'
+    ? room.objects.get(data.objectId)
+    : findNearestSeating(room.objects.values(), player.x, player.y);
+  const type = getFurnitureType(object);
+  if (!type || Math.hypot(player.x - object.x, player.y - object.y) > type.interactionRadius) {
+    return; // Too far from any seat
   }
   
-  // Check if bench is full (2 seats)
-  if (sittingCount >= 2) {
-    return; // Bench is full
+  // The seat the client asked for, or else the first free one
+  const seat = typeof data?.seat === 'string' ? { name: data.seat } : findFreeSeat(room, object);
+  if (!seat || !takeSeat(room, player, object, seat.name)) {
+    return; // Every seat is taken, or the one asked for is
   }
   
-  // Determine which seat to use:
-  // First player sits on the right (positive offset)
-  // Second player sits on the left (negative offset)
-  const seatOffset = sittingCount === 0 ? BENCH_SEAT_OFFSET : -BENCH_SEAT_OFFSET;
-  
-  // Teleport player to bench seat position
-  player.x = BENCH_X + seatOffset;
-  player.y = BENCH_Y;
+  // Teleport player onto the seat
+  const position = getSeatPosition(object, seat.name);
+  player.x = position.x;
+  player.y = position.y;
   player.vx = 0;
   player.vy = 0;
   player.sitting = true;
   player.lastUpdate = Date.now();
-  
-  // Immediately broadcast updated state
-  broadcastState();
+  broadcastSeatChanged(room, player);
 }
 
-function handleBenchStand(client, data) {
-  if (!client.playerId) {
-    sendError(client, 'Not authenticated');
+function handleStand(client, data) {
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
     return;
   }
   
-  const player = gameState.players.get(client.playerId);
+  const player = room.players.get(client.playerId);
   if (!player || !player.connected) {
     sendError(client, 'Player not found');
     return;
@@ -987,33 +1288,111 @@ function handleBenchStand(client, data) {
     return;
   }
   
-  // Stand up - move player slightly forward from bench
-  const BENCH_X = 2760;
-  const BENCH_Y = 1511;
-  const STAND_OFFSET = 50; // Distance to stand in front of bench
+  // Stand up in front of the seat
+  standUp(room, player);
+}
+
+function handleTalk(client, data) {
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
   
-  // Determine direction to stand (based on which side of bench they're on)
-  const dx = player.x - BENCH_X;
-  const standX = dx < 0 ? BENCH_X - STAND_OFFSET : BENCH_X + STAND_OFFSET;
+  const player = room.players.get(client.playerId);
+  if (!player || !player.connected) {
+    sendError(client, 'Player not found');
+    return;
+  }
   
-  player.x = standX;
-  player.y = BENCH_Y;
-  player.vx = 0;
-  player.vy = 0;
-  player.sitting = false;
-  player.lastUpdate = Date.now();
+  // The NPC the client aimed at if it is in reach, or else the nearest one
+  const aimed = typeof data.npcId === 'string' ? room.npcs.get(data.npcId) : null;
+  const npc = aimed && Math.hypot(aimed.x - player.x, aimed.y - player.y) <= aimed.talkRadius
+    ? aimed
+    : findNpcInReach(room, player.x, player.y);
+  const line = npc ? talkTo(npc) : null;
+  if (!line) {
+    return; // Nobody to talk to
+  }
+  
+  // Only the player who asked hears the answer
+  client.send(JSON.stringify({
+    type: MESSAGE_TYPES.NPC_SAID,
+    npcId: npc.id,
+    name: npc.name,
+    line,
+  }));
+}
+
+// Adopt a pet, change its behavior, or let it go with a null behavior
+function handleSetPet(client, data) {
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+  
+  const player = room.players.get(client.playerId);
+  if (!player || !player.connected) {
+    sendError(client, 'Player not found');
+    return;
+  }
+  
+  if (!isPetType(data.pet)) {
+    sendError(client, `Unknown pet type: ${data.pet}`, ERROR_CODES.INVALID_MESSAGE, 'pet');
+    return;
+  }
+  if (data.behavior !== null && !isPetBehavior(data.behavior)) {
+    sendError(client, `Unknown pet behavior: ${data.behavior}`, ERROR_CODES.INVALID_MESSAGE, 'behavior');
+    return;
+  }
+  
+  // A pet keeps its place in the list (and so its side of the owner) when its behavior changes
+  const pets = player.pets.filter((pet) => pet.type !== data.pet);
+  if (data.behavior !== null) {
+    const index = player.pets.findIndex((pet) => pet.type === data.pet);
+    pets.splice(index === -1 ? pets.length : index, 0, { type: data.pet, behavior: data.behavior });
+  }
+  player.pets = pets;
+  syncPets(room);
+  persistState(room);
+}
+
+// Save the look put together in the character creator
+function handleSetAppearance(client, data) {
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+  
+  const player = room.players.get(client.playerId);
+  if (!player || !player.connected) {
+    sendError(client, 'Player not found');
+    return;
+  }
+  
+  const problem = validateAppearance(data.appearance);
+  if (problem) {
+    sendError(client, `Invalid appearance: ${problem.field} ${problem.reason}`, ERROR_CODES.INVALID_MESSAGE, problem.field);
+    return;
+  }
   
-  // Immediately broadcast updated state
-  broadcastState();
+  player.appearance = resolveAppearance(data.appearance, player.character);
+  // Bodies share their ids with the plain character sheets, which NPCs and old clients draw
+  player.character = resolveCharacter(player.appearance.body);
+  broadcastAppearanceChanged(room, player);
+  persistState(room);
 }
 
 function handleResetPosition(client) {
-  if (!client.playerId) {
-    sendError(client, 'Not authenticated');
+  const room = getClientRoom(client);
+  if (!client.playerId || !room) {
+    sendError(client, 'Not authenticated', ERROR_CODES.NOT_JOINED);
     return;
   }
 
-  const player = gameState.players.get(client.playerId);
+  const player = room.players.get(client.playerId);
   if (!player || !player.connected) {
     sendError(client, 'Player not found');
     return;
@@ -1024,41 +1403,40 @@ function handleResetPosition(client) {
   player.x = 1604.97 ;
   player.y = 802.74;
   player.lastUpdate = Date.now();
-
-  // Immediately broadcast updated state so clients snap to new position
-  broadcastState();
-}
-
-// Broadcast message to all clients except sender
-function broadcastToOthers(sender, message) {
-  if (!wss) return;
-  
-  const messageStr = JSON.stringify(message);
-  wss.clients.forEach((client) => {
-    if (client !== sender && client.readyState === WebSocket.OPEN) {
-      client.send(messageStr);
-    }
-  });
+  // Clients snap to the new position with the next tick's state update; an extra
+  // broadcast here would snapshot the current tick twice and break deltas against it
 }
 
-// Send error message
-function sendError(client, error) {
+// Send error message; `field` names the offending message field for invalid_message errors
+function sendError(client, error, code = null, field = null) {
   const message = {
     type: MESSAGE_TYPES.ERROR,
     error: error,
   };
+  if (code) {
+    message.code = code;
+  }
+  if (field) {
+    message.field = field;
+  }
   
   if (client.readyState === WebSocket.OPEN) {
     client.send(JSON.stringify(message));
   }
 }
 
-// Handle client disconnect
-function handleDisconnect(client) {
-  if (client.playerId) {
-    const player = gameState.players.get(client.playerId);
+// Remove a socket's player from its room
+function leaveRoom(client) {
+  const room = getClientRoom(client);
+  if (room && client.playerId) {
+    room.clients.delete(client);
+    const player = room.players.get(client.playerId);
     if (player) {
       player.connected = false;
+      // Free the seat for others; the player comes back standing next to it
+      if (player.sitting) {
+        standUp(room, player);
+      }
       
       // Broadcast player left
       const playerLeft = {
@@ -1066,24 +1444,36 @@ function handleDisconnect(client) {
         playerId: client.playerId,
       };
       
-      broadcastToOthers(client, playerLeft);
-      assignFollowersToPlayers();
+      broadcastToRoom(room, playerLeft, { except: client });
+      syncPets(room);
       
       // Save state on disconnect
-      saveState(gameState).catch(console.error);
+      persistState(room);
       
-      console.log(`Player ${client.playerId} disconnected`);
+      console.log(`Player ${client.playerId} left room "${room.id}"`);
     }
+    disposeRoomIfEmpty(room);
   }
+  client.playerId = null;
+  client.roomId = null;
+}
+
+// Handle client disconnect
+function handleDisconnect(client) {
+  leaveRoom(client);
 }
 
 // Start WebSocket server
 async function startServer() {
-  await initializeGame();
-  await initializeColliders();
-  await initializeObjects();
-  initializeFollowers();
-  assignFollowersToPlayers();
+  await initStorage();
+  console.log(`Storage backend: ${STORAGE_BACKEND}`);
+  await initAccounts();
+  const worlds = await listWorlds();
+  console.log(`Saved worlds: ${worlds.length > 0 ? worlds.join(', ') : 'none'}`);
+
+  // The default room is always loaded so its saved world is ready for the first player
+  await loadCharacters();
+  await getOrCreateRoom(DEFAULT_ROOM_ID);
   
   // Configure CORS for WebSocket connections
   const verifyClient = (info) => {
@@ -1125,8 +1515,8 @@ async function startServer() {
   wss.on('connection', (client) => {
     console.log('Client connected');
     
-    client.on('message', (message) => {
-      handleMessage(client, message);
+    client.on('message', (message, isBinary) => {
+      handleMessage(client, message, isBinary);
     });
     
     client.on('close', () => {
@@ -1147,20 +1537,30 @@ async function startServer() {
   console.log(`Connect clients to: ws://localhost:${PORT}`);
 }
 
+// Save every persistent room before exiting
+async function saveAllRooms() {
+  for (const room of rooms.values()) {
+    // Unclaimed new worlds were never meant to be saved
+    if (room.claimable) {
+      continue;
+    }
+    await persistState(room);
+    await persistColliders(room);
+    await persistObjects(room);
+  }
+  await flushWrites();
+}
+
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, saving state...');
-  await saveState(gameState);
-  await saveColliders(getColliders());
-  await saveObjects(gameState.objects);
+  await saveAllRooms();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, saving state...');
-  await saveState(gameState);
-  await saveColliders(getColliders());
-  await saveObjects(gameState.objects);
+  await saveAllRooms();
   process.exit(0);
 });
 
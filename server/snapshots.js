@@ -0,0 +1,168 @@
+// Per-tick entity snapshots and delta encoding for state updates.
+// Each client acknowledges the ticks it has applied; its next update only carries
+// entity fields that changed since that tick, plus periodic full keyframes.
+
+import { GAME_CONFIG } from './schema.js';
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function snapshotPlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    // Unrounded: the owner's prediction replays its inputs from exactly this position
+    x: player.x,
+    y: player.y,
+    vx: player.vx,
+    vy: player.vy,
+    hugging: player.hugging || false,
+    hugEndTime: player.hugEndTime || 0,
+    sitting: player.sitting || false,
+    lastInputSeq: player.lastInputSeq,
+  };
+}
+
+// The follower fields clients see; server-only state (wander spot, route) stays behind
+export function snapshotFollower(follower) {
+  return {
+    id: follower.id,
+    sprite: follower.sprite,
+    slot: follower.slot,
+    x: round2(follower.x),
+    y: round2(follower.y),
+    vx: follower.vx,
+    vy: follower.vy,
+    targetPlayerId: follower.targetPlayerId,
+    ownerId: follower.ownerId,
+    behavior: follower.behavior,
+  };
+}
+
+export function snapshotNpc(npc) {
+  return {
+    id: npc.id,
+    name: npc.name,
+    character: npc.character,
+    x: round2(npc.x),
+    y: round2(npc.y),
+    vx: npc.vx,
+    vy: npc.vy,
+    talkRadius: npc.talkRadius,
+  };
+}
+
+function toEntityMap(entities) {
+  return new Map(entities.map((entity) => [entity.id, entity]));
+}
+
+// Capture this tick's entity state and keep it as a possible delta base
+export function recordSnapshot(room) {
+  const snapshot = {
+    tick: room.tick,
+    players: toEntityMap(
+      Array.from(room.players.values())
+        .filter((player) => player.connected)
+        .map(snapshotPlayer),
+    ),
+    followers: toEntityMap(Array.from(room.followers.values()).map(snapshotFollower)),
+    npcs: toEntityMap(Array.from(room.npcs.values()).map(snapshotNpc)),
+  };
+  room.snapshots.set(snapshot.tick, snapshot);
+  room.snapshots.delete(snapshot.tick - GAME_CONFIG.SNAPSHOT_HISTORY);
+  return snapshot;
+}
+
+// Entities that are new or changed since `base`, keeping only changed fields, and ids that are gone
+function diffEntities(current, base) {
+  const changed = [];
+  current.forEach((entity, id) => {
+    const previous = base.get(id);
+    if (!previous) {
+      changed.push(entity);
+      return;
+    }
+    const delta = { id };
+    let hasChanges = false;
+    Object.keys(entity).forEach((field) => {
+      if (entity[field] !== previous[field]) {
+        delta[field] = entity[field];
+        hasChanges = true;
+      }
+    });
+    if (hasChanges) {
+      changed.push(delta);
+    }
+  });
+  const removed = Array.from(base.keys()).filter((id) => !current.has(id));
+  return { changed, removed };
+}
+
+// Build the state update for one base tick; `base` null means a full keyframe
+export function encodeSnapshot(snapshot, base, message) {
+  if (!base) {
+    return {
+      ...message,
+      tick: snapshot.tick,
+      keyframe: true,
+      players: Array.from(snapshot.players.values()),
+      followers: Array.from(snapshot.followers.values()),
+      npcs: Array.from(snapshot.npcs.values()),
+    };
+  }
+
+  const players = diffEntities(snapshot.players, base.players);
+  const followers = diffEntities(snapshot.followers, base.followers);
+  const npcs = diffEntities(snapshot.npcs, base.npcs);
+  const update = {
+    ...message,
+    tick: snapshot.tick,
+    keyframe: false,
+    baseTick: base.tick,
+  };
+  // Empty lists are left out; an idle world sends little more than the tick
+  if (players.changed.length > 0) {
+    update.players = players.changed;
+  }
+  if (players.removed.length > 0) {
+    update.removedPlayers = players.removed;
+  }
+  if (followers.changed.length > 0) {
+    update.followers = followers.changed;
+  }
+  if (followers.removed.length > 0) {
+    update.removedFollowers = followers.removed;
+  }
+  if (npcs.changed.length > 0) {
+    update.npcs = npcs.changed;
+  }
+  if (npcs.removed.length > 0) {
+    update.removedNpcs = npcs.removed;
+  }
+  return update;
+}
+
+// The snapshot a client's next update is encoded against, or null when it is due a keyframe
+export function getDeltaBase(room, client) {
+  if (client.lastKeyframeTick === null || room.tick - client.lastKeyframeTick >= GAME_CONFIG.KEYFRAME_INTERVAL) {
+    return null;
+  }
+  return room.snapshots.get(client.ackTick) || null;
+}
+
+// Per-socket ack bookkeeping, reset whenever the socket joins a room
+export function resetClientSnapshots(client) {
+  client.ackTick = 0;
+  client.lastKeyframeTick = null;
+}
+
+// Acks only move forward; an ack of 0 asks for a keyframe (the client lost its base)
+export function acknowledgeTick(client, tick) {
+  if (tick === 0) {
+    client.ackTick = 0;
+    client.lastKeyframeTick = null;
+  } else if (tick > client.ackTick) {
+    client.ackTick = tick;
+  }
+}
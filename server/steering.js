@@ -0,0 +1,57 @@
+// Movement for entities the server walks on its own (pets and NPCs): a straight line
+// while the way is clear, otherwise the room pathfinder's route around obstacles.
+
+import { GAME_CONFIG } from './schema.js';
+
+function clampToWorld(entity) {
+  entity.x = Math.max(0, Math.min(GAME_CONFIG.WORLD_WIDTH, entity.x));
+  entity.y = Math.max(0, Math.min(GAME_CONFIG.WORLD_HEIGHT, entity.y));
+}
+
+export function stopAgent(agent) {
+  agent.vx = 0;
+  agent.vy = 0;
+}
+
+// Walk toward (x, y), stopping `stopDistance` short. Returns true once there, or when
+// there is no way there.
+export function walkToward(room, agent, x, y, stopDistance, speed, deltaSeconds) {
+  const distance = Math.hypot(x - agent.x, y - agent.y);
+
+  if (distance <= stopDistance) {
+    // Ease out instead of stopping dead
+    agent.vx *= 0.4;
+    agent.vy *= 0.4;
+    if (Math.abs(agent.vx) < 2) agent.vx = 0;
+    if (Math.abs(agent.vy) < 2) agent.vy = 0;
+    return true;
+  }
+
+  const next = room.pathfinder.steer(agent, x, y);
+  if (!next) {
+    stopAgent(agent);
+    return true;
+  }
+  // Only the last leg stops short; corners of the route are walked right up to
+  const dx = next.x - agent.x;
+  const dy = next.y - agent.y;
+  const legDistance = Math.hypot(dx, dy);
+  const remaining = next.x === x && next.y === y ? distance - stopDistance : legDistance;
+  if (legDistance === 0) {
+    stopAgent(agent);
+    return false;
+  }
+
+  const move = Math.min(speed * deltaSeconds, remaining);
+  const ux = dx / legDistance;
+  const uy = dy / legDistance;
+  agent.x += ux * move;
+  agent.y += uy * move;
+  agent.vx = ux * speed;
+  agent.vy = uy * speed;
+  if (move < 1.5) {
+    stopAgent(agent);
+  }
+  clampToWorld(agent);
+  return false;
+}
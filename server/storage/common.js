@@ -0,0 +1,57 @@
+// Helpers shared by every storage backend
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directory holding server.js; older versions kept their save files here
+export const SERVER_DIR = path.join(__dirname, '..');
+
+// Root directory for all saved data, overridable so production can use a persistent volume
+export const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(SERVER_DIR, 'data');
+
+const WORLD_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+export function isValidWorldId(worldId) {
+  return typeof worldId === 'string' && WORLD_ID_PATTERN.test(worldId);
+}
+
+export function assertWorldId(worldId) {
+  if (!isValidWorldId(worldId)) {
+    throw new Error(`Invalid world id: ${worldId}`);
+  }
+}
+
+// The player fields that are persisted; velocity and connection state are not
+export function serializePlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    character: player.character,
+    role: player.role,
+    x: player.x,
+    y: player.y,
+    pets: player.pets,
+    appearance: player.appearance,
+  };
+}
+
+// Edit journal entries kept per world; older ones are dropped as new ones arrive
+export const MAX_JOURNAL_ENTRIES = 2000;
+
+// Thrown when saved data was written by a newer server than this one
+export class UnsupportedSaveVersionError extends Error {
+  constructor(source, version, supportedVersion) {
+    super(
+      `${source} uses save format version ${version}, but this server only understands up to `
+      + `version ${supportedVersion}. Upgrade the server before loading this world.`,
+    );
+    this.name = 'UnsupportedSaveVersionError';
+    this.source = source;
+    this.version = version;
+  }
+}
@@ -0,0 +1,669 @@
+// JSON file storage backend: one directory of JSON files per world
+
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeObjectData, createDefaultObjects } from '../schema.js';
+import {
+  SERVER_DIR,
+  DATA_DIR,
+  isValidWorldId,
+  assertWorldId,
+  serializePlayer,
+  MAX_JOURNAL_ENTRIES,
+  UnsupportedSaveVersionError,
+} from './common.js';
+
+export const name = 'json';
+
+// Every world (room) keeps its files in its own directory under DATA_DIR/worlds
+const WORLDS_DIR = path.join(DATA_DIR, 'worlds');
+
+const STATE_FILE = 'game-state.json';
+const COLLIDERS_FILE = 'colliders.json';
+const OBJECTS_FILE = 'display-objects.json';
+const JOURNAL_FILE = 'journal.json';
+const NPCS_FILE = 'npcs.json';
+const WORLD_FILES = [STATE_FILE, COLLIDERS_FILE, OBJECTS_FILE, JOURNAL_FILE, NPCS_FILE];
+
+// Version written into every saved file. Files without a version field are version 1.
+export const SAVE_FORMAT_VERSION = 3;
+
+// MIGRATIONS[n] upgrades a payload from version n + 1 to n + 2, one handler per file.
+// To change the format: bump SAVE_FORMAT_VERSION and append a step here.
+const MIGRATIONS = [
+  // 1 -> 2: wrap bare arrays, drop malformed collider tiles and fill in object fields
+  {
+    [STATE_FILE]: (payload) => {
+      const players = {};
+      for (const [id, player] of Object.entries(payload.players || {})) {
+        if (!player || typeof player !== 'object') {
+          continue;
+        }
+        players[id] = {
+          id: player.id || id,
+          name: player.name || 'Player',
+          character: player.character || '1',
+          x: Number(player.x) || 0,
+          y: Number(player.y) || 0,
+        };
+      }
+      return { ...payload, players };
+    },
+    [COLLIDERS_FILE]: (payload) => {
+      const colliders = Array.isArray(payload) ? payload : payload.colliders || [];
+      return {
+        ...(Array.isArray(payload) ? {} : payload),
+        colliders: colliders
+          .filter((tile) => Number.isInteger(tile?.col) && Number.isInteger(tile?.row))
+          .map(({ col, row }) => ({ col, row })),
+      };
+    },
+    [OBJECTS_FILE]: (payload) => {
+      const objects = Array.isArray(payload) ? payload : payload.objects || [];
+      return {
+        ...(Array.isArray(payload) ? {} : payload),
+        objects: objects.map(normalizeObjectData).filter(Boolean),
+      };
+    },
+  },
+  // 2 -> 3: the bench stopped being part of the map and became a furniture object
+  {
+    [OBJECTS_FILE]: (payload) => {
+      const ids = new Set(payload.objects.map((object) => object.id));
+      return {
+        ...payload,
+        objects: [...payload.objects, ...createDefaultObjects().filter((object) => !ids.has(object.id))],
+      };
+    },
+  },
+];
+
+// Rolling backups: keep BACKUP_COUNT copies per file, at most one per BACKUP_INTERVAL_MS
+const BACKUPS_DIR = 'backups';
+const BACKUP_COUNT = parseNonNegativeInt(process.env.BACKUP_COUNT, 5);
+const BACKUP_INTERVAL_MS = parseNonNegativeInt(process.env.BACKUP_INTERVAL_MS, 60 * 1000);
+
+// Queued writes per file path, so saves to the same file never overlap
+const writeQueues = new Map();
+const lastBackupTimes = new Map();
+let tempFileCounter = 0;
+
+// Older deployments kept a single world's files next to the server source
+const LEGACY_WORLD_ID = 'default';
+
+function getWorldDir(worldId) {
+  assertWorldId(worldId);
+  return path.join(WORLDS_DIR, worldId);
+}
+
+function getWorldFile(worldId, fileName) {
+  return path.join(getWorldDir(worldId), fileName);
+}
+
+function parseNonNegativeInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// "game-state.json" -> "game-state"
+function getBaseName(fileName) {
+  return path.basename(fileName, path.extname(fileName));
+}
+
+function getBackupDir(filePath) {
+  return path.join(path.dirname(filePath), BACKUPS_DIR);
+}
+
+// Backups of a file, newest first
+async function listBackups(filePath) {
+  const prefix = `${getBaseName(filePath)}.`;
+  try {
+    const entries = await fs.readdir(getBackupDir(filePath));
+    return entries
+      .filter((entry) => entry.startsWith(prefix) && entry.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map((entry) => path.join(getBackupDir(filePath), entry));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Copy the current file into the backups directory and drop the oldest copies
+async function rotateBackups(filePath) {
+  if (BACKUP_COUNT === 0) {
+    return;
+  }
+  const now = Date.now();
+  if (now - (lastBackupTimes.get(filePath) || 0) < BACKUP_INTERVAL_MS) {
+    return;
+  }
+
+  try {
+    await fs.access(filePath);
+  } catch {
+    return; // Nothing to back up yet
+  }
+
+  const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(getBackupDir(filePath), `${getBaseName(filePath)}.${stamp}.json`);
+  await fs.mkdir(getBackupDir(filePath), { recursive: true });
+  await fs.copyFile(filePath, backupPath);
+  lastBackupTimes.set(filePath, now);
+
+  const backups = await listBackups(filePath);
+  await Promise.all(backups.slice(BACKUP_COUNT).map((oldBackup) => fs.rm(oldBackup, { force: true })));
+}
+
+// Write to a temp file, flush it to disk, then rename over the target so readers
+// only ever see the old or the new contents, never a truncated file
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${tempFileCounter++}.tmp`;
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(contents, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Queue a change to a world file behind any in-flight write to the same file.
+// `update(current)` returns the new payload; `replace` marks full rewrites that ignore
+// the current contents. Changes queued while a write is waiting are batched into that
+// write, and the file is only read when a batch starts with a partial update.
+function queueUpdate(worldId, fileName, update, { replace = false } = {}) {
+  const filePath = getWorldFile(worldId, fileName);
+  let queue = writeQueues.get(filePath);
+  if (!queue) {
+    queue = { tail: Promise.resolve(), pending: null };
+    writeQueues.set(filePath, queue);
+  }
+
+  if (queue.pending) {
+    queue.pending.steps.push({ update, replace });
+    return queue.pending.promise;
+  }
+
+  const job = { steps: [{ update, replace }] };
+  job.promise = queue.tail
+    .catch(() => {})
+    .then(async () => {
+      if (queue.pending === job) {
+        queue.pending = null;
+      }
+
+      let firstStep = 0;
+      job.steps.forEach((step, index) => {
+        if (step.replace) {
+          firstStep = index;
+        }
+      });
+
+      let payload = null;
+      if (!job.steps[firstStep].replace) {
+        payload = (await readWorldFileNow(worldId, fileName)).payload;
+      }
+      for (const step of job.steps.slice(firstStep)) {
+        payload = step.update(payload);
+      }
+
+      const { version, ...rest } = payload;
+      const contents = JSON.stringify({ version: SAVE_FORMAT_VERSION, ...rest }, null, 2);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await rotateBackups(filePath);
+      await writeFileAtomic(filePath, contents);
+    })
+    .finally(() => {
+      if (queue.tail === job.promise) {
+        writeQueues.delete(filePath);
+      }
+    });
+  queue.pending = job;
+  queue.tail = job.promise;
+  return job.promise;
+}
+
+async function waitForWrite(filePath) {
+  const queue = writeQueues.get(filePath);
+  if (queue) {
+    await queue.tail.catch(() => {});
+  }
+}
+
+// Wait until every queued save has reached disk (used on shutdown)
+export async function flush() {
+  await Promise.all([
+    ...Array.from(writeQueues.values()).map((queue) => queue.tail.catch(() => {})),
+    accountsWrite.catch(() => {}),
+  ]);
+}
+
+function writeWorldFile(worldId, fileName, payload) {
+  return queueUpdate(worldId, fileName, () => payload, { replace: true });
+}
+
+function getPayloadVersion(filePath, parsed) {
+  if (Array.isArray(parsed) || parsed?.version === undefined) {
+    return 1;
+  }
+  const { version } = parsed;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid save format version in ${filePath}: ${version}`);
+  }
+  if (version > SAVE_FORMAT_VERSION) {
+    throw new UnsupportedSaveVersionError(filePath, version, SAVE_FORMAT_VERSION);
+  }
+  return version;
+}
+
+// Run a payload through every migration step between its version and the current one
+function migratePayload(filePath, fileName, parsed) {
+  let payload = parsed;
+  for (let version = getPayloadVersion(filePath, parsed); version < SAVE_FORMAT_VERSION; version++) {
+    const migrate = MIGRATIONS[version - 1][fileName];
+    payload = migrate ? migrate(payload) : payload;
+  }
+  return payload;
+}
+
+// Parse, migrate and validate a saved file (or a backup of `fileName`).
+// `migrated` tells the caller the file is in an older format.
+async function readJsonFile(filePath, fileName) {
+  const isValid = PAYLOAD_VALIDATORS[fileName];
+  const data = await fs.readFile(filePath, 'utf-8');
+  const parsed = JSON.parse(data);
+  if (!isValid(parsed)) {
+    throw new Error(`Unexpected contents in ${filePath}`);
+  }
+  const payload = migratePayload(filePath, fileName, parsed);
+  if (!isValid(payload)) {
+    throw new Error(`Migration produced unexpected contents for ${filePath}`);
+  }
+  return {
+    payload,
+    migrated: getPayloadVersion(filePath, parsed) < SAVE_FORMAT_VERSION,
+  };
+}
+
+// Read a world file once pending writes to it have finished. Upgraded or restored
+// files are rewritten right away; the file they replace is kept as a backup.
+async function readWorldFile(worldId, fileName) {
+  await waitForWrite(getWorldFile(worldId, fileName));
+  const { payload, rewrite } = await readWorldFileNow(worldId, fileName);
+  if (rewrite) {
+    writeWorldFile(worldId, fileName, payload).catch((error) => {
+      console.error(`Error rewriting ${fileName} for world "${worldId}":`, error);
+    });
+  }
+  return payload;
+}
+
+// Read a world file, falling back to the newest backup that parses and validates.
+// The payload is null when neither the file nor any backup exists. A file from a newer
+// server version is never skipped in favour of a backup: loading stops instead.
+async function readWorldFileNow(worldId, fileName) {
+  const filePath = getWorldFile(worldId, fileName);
+
+  let missing = false;
+  try {
+    const { payload, migrated } = await readJsonFile(filePath, fileName);
+    if (migrated) {
+      console.log(`Upgraded ${fileName} for world "${worldId}" to save format version ${SAVE_FORMAT_VERSION}`);
+    }
+    return { payload, rewrite: migrated };
+  } catch (error) {
+    if (error instanceof UnsupportedSaveVersionError) {
+      throw error;
+    }
+    if (error.code === 'ENOENT') {
+      missing = true;
+    } else {
+      console.error(`Error reading ${fileName} for world "${worldId}":`, error.message);
+    }
+  }
+
+  for (const backupPath of await listBackups(filePath)) {
+    try {
+      const { payload } = await readJsonFile(backupPath, fileName);
+      console.warn(`Restored ${fileName} for world "${worldId}" from backup ${path.basename(backupPath)}`);
+      return { payload, rewrite: true };
+    } catch (error) {
+      if (error instanceof UnsupportedSaveVersionError) {
+        throw error;
+      }
+      console.error(`Skipping unusable backup ${path.basename(backupPath)}:`, error.message);
+    }
+  }
+
+  if (!missing) {
+    throw new Error(`No usable copy of ${fileName} for world "${worldId}"`);
+  }
+  return { payload: null, rewrite: false };
+}
+
+function isStatePayload(parsed) {
+  return Boolean(parsed) && typeof parsed === 'object' && !Array.isArray(parsed)
+    && (parsed.players === undefined || typeof parsed.players === 'object');
+}
+
+function isCollidersPayload(parsed) {
+  return Array.isArray(parsed) || Array.isArray(parsed?.colliders);
+}
+
+function isObjectsPayload(parsed) {
+  return Array.isArray(parsed) || Array.isArray(parsed?.objects);
+}
+
+function isJournalPayload(parsed) {
+  return Array.isArray(parsed?.entries);
+}
+
+function isNpcsPayload(parsed) {
+  return Array.isArray(parsed) || Array.isArray(parsed?.npcs);
+}
+
+const PAYLOAD_VALIDATORS = {
+  [STATE_FILE]: isStatePayload,
+  [COLLIDERS_FILE]: isCollidersPayload,
+  [OBJECTS_FILE]: isObjectsPayload,
+  [JOURNAL_FILE]: isJournalPayload,
+  [NPCS_FILE]: isNpcsPayload,
+};
+
+export async function init() {
+  await migrateLegacyFiles();
+}
+
+// Move files from the pre-world layout into the default world, once
+async function migrateLegacyFiles() {
+  for (const fileName of WORLD_FILES) {
+    const legacyPath = path.join(SERVER_DIR, fileName);
+    const targetPath = getWorldFile(LEGACY_WORLD_ID, fileName);
+    try {
+      await fs.access(legacyPath);
+    } catch {
+      continue;
+    }
+    try {
+      await fs.access(targetPath);
+      console.warn(`Skipping legacy ${fileName}: world "${LEGACY_WORLD_ID}" already has one`);
+      continue;
+    } catch {
+      // Target missing, safe to move
+    }
+    await fs.mkdir(getWorldDir(LEGACY_WORLD_ID), { recursive: true });
+    await fs.rename(legacyPath, targetPath);
+    console.log(`Moved legacy ${fileName} into world "${LEGACY_WORLD_ID}"`);
+  }
+}
+
+// List ids of all worlds that have saved data
+export async function listWorlds() {
+  try {
+    const entries = await fs.readdir(WORLDS_DIR, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory() && isValidWorldId(entry.name))
+      .map((entry) => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    console.error('Error listing worlds:', error);
+    return [];
+  }
+}
+
+export async function worldExists(worldId) {
+  try {
+    const stats = await fs.stat(getWorldDir(worldId));
+    return stats.isDirectory();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Delete all saved data for a world
+export async function deleteWorld(worldId) {
+  await Promise.all(WORLD_FILES.map((fileName) => waitForWrite(getWorldFile(worldId, fileName))));
+  await fs.rm(getWorldDir(worldId), { recursive: true, force: true });
+}
+
+// Load game state from disk, null when the world has no saved state yet
+export async function loadState(worldId) {
+  return readWorldFile(worldId, STATE_FILE);
+}
+
+// Save game state to disk
+export async function saveState(worldId, gameState) {
+  try {
+    // Convert Map to object for JSON serialization
+    const players = {};
+    for (const [id, player] of gameState.players.entries()) {
+      players[id] = serializePlayer(player);
+    }
+    
+    const state = {
+      players: players,
+      lastSaved: Date.now(),
+    };
+    
+    await writeWorldFile(worldId, STATE_FILE, state);
+  } catch (error) {
+    console.error(`Error saving state for world "${worldId}":`, error);
+  }
+}
+
+export async function loadColliders(worldId) {
+  const parsed = await readWorldFile(worldId, COLLIDERS_FILE);
+  return parsed ? parsed.colliders : [];
+}
+
+export async function saveColliders(worldId, colliders) {
+  try {
+    const payload = {
+      colliders: Array.isArray(colliders) ? colliders : [],
+      lastSaved: Date.now(),
+    };
+    await writeWorldFile(worldId, COLLIDERS_FILE, payload);
+  } catch (error) {
+    console.error(`Error saving colliders for world "${worldId}":`, error);
+  }
+}
+
+// Add or remove a batch of tiles; JSON files still have to be rewritten whole
+function updateColliders(worldId, tiles, apply) {
+  return queueUpdate(worldId, COLLIDERS_FILE, (payload) => {
+    const keys = new Set((payload?.colliders || []).map(({ col, row }) => `${col},${row}`));
+    tiles.forEach(({ col, row }) => apply(keys, `${col},${row}`));
+    return {
+      colliders: Array.from(keys, (key) => {
+        const [col, row] = key.split(',').map(Number);
+        return { col, row };
+      }),
+      lastSaved: Date.now(),
+    };
+  });
+}
+
+export async function addColliders(worldId, tiles) {
+  try {
+    await updateColliders(worldId, tiles, (keys, key) => keys.add(key));
+  } catch (error) {
+    console.error(`Error adding colliders for world "${worldId}":`, error);
+  }
+}
+
+export async function removeColliders(worldId, tiles) {
+  try {
+    await updateColliders(worldId, tiles, (keys, key) => keys.delete(key));
+  } catch (error) {
+    console.error(`Error removing colliders for world "${worldId}":`, error);
+  }
+}
+
+export async function loadObjects(worldId) {
+  const parsed = await readWorldFile(worldId, OBJECTS_FILE);
+  return parsed ? parsed.objects : [];
+}
+
+export async function saveObjects(worldId, objects) {
+  try {
+    const list = Array.isArray(objects)
+      ? objects
+      : Array.from(objects.values ? objects.values() : []);
+    const payload = {
+      objects: list,
+      lastSaved: Date.now(),
+    };
+    await writeWorldFile(worldId, OBJECTS_FILE, payload);
+  } catch (error) {
+    console.error(`Error saving display objects for world "${worldId}":`, error);
+  }
+}
+
+export async function saveObject(worldId, object) {
+  try {
+    await queueUpdate(worldId, OBJECTS_FILE, (payload) => {
+      const objects = (payload?.objects || []).filter((entry) => entry.id !== object.id);
+      objects.push(object);
+      return { objects, lastSaved: Date.now() };
+    });
+  } catch (error) {
+    console.error(`Error saving display object for world "${worldId}":`, error);
+  }
+}
+
+export async function removeObject(worldId, objectId) {
+  try {
+    await queueUpdate(worldId, OBJECTS_FILE, (payload) => ({
+      objects: (payload?.objects || []).filter((entry) => entry.id !== objectId),
+      lastSaved: Date.now(),
+    }));
+  } catch (error) {
+    console.error(`Error removing display object for world "${worldId}":`, error);
+  }
+}
+
+// NPC definitions (see server/npcs.js), or null when the world has none saved
+export async function loadNpcs(worldId) {
+  const parsed = await readWorldFile(worldId, NPCS_FILE);
+  if (!parsed) {
+    return null;
+  }
+  return Array.isArray(parsed) ? parsed : parsed.npcs;
+}
+
+export async function saveNpcs(worldId, npcs) {
+  try {
+    const payload = {
+      npcs: Array.isArray(npcs) ? npcs : [],
+      lastSaved: Date.now(),
+    };
+    await writeWorldFile(worldId, NPCS_FILE, payload);
+  } catch (error) {
+    console.error(`Error saving NPCs for world "${worldId}":`, error);
+  }
+}
+
+// Edit journal entries, oldest first
+export async function loadJournal(worldId) {
+  const parsed = await readWorldFile(worldId, JOURNAL_FILE);
+  return parsed ? parsed.entries : [];
+}
+
+export async function appendJournal(worldId, entry) {
+  try {
+    await queueUpdate(worldId, JOURNAL_FILE, (payload) => ({
+      entries: [...(payload?.entries || []), entry].slice(-MAX_JOURNAL_ENTRIES),
+    }));
+  } catch (error) {
+    console.error(`Error appending to the edit journal for world "${worldId}":`, error);
+  }
+}
+
+// Accounts are shared by every world, so they live next to the worlds directory
+const ACCOUNTS_FILE = path.join(DATA_DIR, 'accounts.json');
+let accountsWrite = Promise.resolve();
+
+function isAccountsPayload(parsed) {
+  return Array.isArray(parsed?.accounts);
+}
+
+async function readAccountsFile(filePath) {
+  const parsed = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  if (!isAccountsPayload(parsed)) {
+    throw new Error(`Unexpected contents in ${filePath}`);
+  }
+  getPayloadVersion(filePath, parsed);
+  return parsed.accounts;
+}
+
+// Read accounts.json, falling back to its newest usable backup
+async function readAccountsNow() {
+  let missing = false;
+  try {
+    return await readAccountsFile(ACCOUNTS_FILE);
+  } catch (error) {
+    if (error instanceof UnsupportedSaveVersionError) {
+      throw error;
+    }
+    if (error.code === 'ENOENT') {
+      missing = true;
+    } else {
+      console.error('Error reading accounts:', error.message);
+    }
+  }
+
+  for (const backupPath of await listBackups(ACCOUNTS_FILE)) {
+    try {
+      const accounts = await readAccountsFile(backupPath);
+      console.warn(`Restored accounts from backup ${path.basename(backupPath)}`);
+      return accounts;
+    } catch (error) {
+      if (error instanceof UnsupportedSaveVersionError) {
+        throw error;
+      }
+      console.error(`Skipping unusable backup ${path.basename(backupPath)}:`, error.message);
+    }
+  }
+
+  if (!missing) {
+    throw new Error('No usable copy of accounts.json');
+  }
+  return [];
+}
+
+export async function loadAccounts() {
+  await accountsWrite.catch(() => {});
+  return readAccountsNow();
+}
+
+// Insert or replace one account. Unlike world saves, failures reach the caller,
+// since a login must not succeed with an account that was never stored.
+export function saveAccount(account) {
+  accountsWrite = accountsWrite
+    .catch(() => {})
+    .then(async () => {
+      const accounts = (await readAccountsNow()).filter((entry) => entry.id !== account.id);
+      accounts.push(account);
+      const contents = JSON.stringify({ version: SAVE_FORMAT_VERSION, accounts }, null, 2);
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await rotateBackups(ACCOUNTS_FILE);
+      await writeFileAtomic(ACCOUNTS_FILE, contents);
+    });
+  return accountsWrite;
+}
@@ -0,0 +1,411 @@
+// SQLite storage backend: one embedded database file, with players, display objects
+// and collider tiles stored as individual rows so single edits don't rewrite a world.
+// Requires the optional `better-sqlite3` dependency.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeObjectData, createDefaultObjects, DEFAULT_ROOM_ID } from '../schema.js';
+import { DEFAULT_NPCS } from '../npcs.js';
+import {
+  DATA_DIR,
+  assertWorldId,
+  serializePlayer,
+  MAX_JOURNAL_ENTRIES,
+  UnsupportedSaveVersionError,
+} from './common.js';
+import * as jsonStore from './jsonStore.js';
+
+export const name = 'sqlite';
+
+const DATABASE_FILE = process.env.SQLITE_FILE
+  ? path.resolve(process.env.SQLITE_FILE)
+  : path.join(DATA_DIR, 'worlds.sqlite');
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// SCHEMA_MIGRATIONS[n] upgrades the database from user_version n to n + 1.
+// To change the schema: append a step; SCHEMA_VERSION follows automatically.
+const SCHEMA_MIGRATIONS = [
+  `
+    CREATE TABLE worlds (
+      id TEXT PRIMARY KEY,
+      created_at INTEGER NOT NULL,
+      last_saved INTEGER
+    );
+    CREATE TABLE players (
+      world_id TEXT NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (world_id, id)
+    );
+    CREATE TABLE objects (
+      world_id TEXT NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (world_id, id)
+    );
+    CREATE TABLE colliders (
+      world_id TEXT NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+      col INTEGER NOT NULL,
+      row INTEGER NOT NULL,
+      PRIMARY KEY (world_id, col, row)
+    ) WITHOUT ROWID;
+  `,
+  `
+    CREATE TABLE accounts (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+  `,
+  `
+    CREATE TABLE journal (
+      world_id TEXT NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+      id INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (world_id, id)
+    );
+  `,
+  // The bench stopped being part of the map and became a furniture object in every world
+  createDefaultObjects()
+    .map((object) => `
+      INSERT OR IGNORE INTO objects (world_id, id, data)
+      SELECT id, ${sqlString(object.id)}, ${sqlString(JSON.stringify(object))} FROM worlds;
+    `)
+    .join(''),
+  // NPCs moved into the database; the default world gets the ones it used to have
+  `
+    CREATE TABLE npcs (
+      world_id TEXT NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (world_id, position)
+    );
+  ${DEFAULT_NPCS
+    .map((npc, position) => `
+      INSERT INTO npcs (world_id, position, data)
+      SELECT id, ${position}, ${sqlString(JSON.stringify(npc))} FROM worlds WHERE id = ${sqlString(DEFAULT_ROOM_ID)};
+    `)
+    .join('')}`,
+];
+const SCHEMA_VERSION = SCHEMA_MIGRATIONS.length;
+
+let db = null;
+let statements = null;
+
+function getDatabase() {
+  if (!db) {
+    throw new Error('SQLite storage used before init()');
+  }
+  return db;
+}
+
+function migrateSchema(database) {
+  const currentVersion = database.pragma('user_version', { simple: true });
+  if (currentVersion > SCHEMA_VERSION) {
+    throw new UnsupportedSaveVersionError(DATABASE_FILE, currentVersion, SCHEMA_VERSION);
+  }
+  for (let version = currentVersion; version < SCHEMA_VERSION; version++) {
+    database.transaction(() => {
+      database.exec(SCHEMA_MIGRATIONS[version]);
+      database.pragma(`user_version = ${version + 1}`);
+    })();
+    console.log(`Upgraded ${path.basename(DATABASE_FILE)} to schema version ${version + 1}`);
+  }
+}
+
+function prepareStatements(database) {
+  return {
+    listWorlds: database.prepare('SELECT id FROM worlds ORDER BY id'),
+    getWorld: database.prepare('SELECT id, last_saved FROM worlds WHERE id = ?'),
+    ensureWorld: database.prepare('INSERT OR IGNORE INTO worlds (id, created_at) VALUES (?, ?)'),
+    touchWorld: database.prepare('UPDATE worlds SET last_saved = ? WHERE id = ?'),
+    deleteWorld: database.prepare('DELETE FROM worlds WHERE id = ?'),
+    countWorlds: database.prepare('SELECT COUNT(*) AS count FROM worlds'),
+
+    selectPlayers: database.prepare('SELECT data FROM players WHERE world_id = ?'),
+    deletePlayers: database.prepare('DELETE FROM players WHERE world_id = ?'),
+    insertPlayer: database.prepare('INSERT INTO players (world_id, id, data) VALUES (?, ?, ?)'),
+
+    selectObjects: database.prepare('SELECT data FROM objects WHERE world_id = ?'),
+    deleteObjects: database.prepare('DELETE FROM objects WHERE world_id = ?'),
+    upsertObject: database.prepare(`
+      INSERT INTO objects (world_id, id, data) VALUES (?, ?, ?)
+      ON CONFLICT (world_id, id) DO UPDATE SET data = excluded.data
+    `),
+    deleteObject: database.prepare('DELETE FROM objects WHERE world_id = ? AND id = ?'),
+
+    selectColliders: database.prepare('SELECT col, row FROM colliders WHERE world_id = ?'),
+    deleteColliders: database.prepare('DELETE FROM colliders WHERE world_id = ?'),
+    insertCollider: database.prepare('INSERT OR IGNORE INTO colliders (world_id, col, row) VALUES (?, ?, ?)'),
+    deleteCollider: database.prepare('DELETE FROM colliders WHERE world_id = ? AND col = ? AND row = ?'),
+
+    selectNpcs: database.prepare('SELECT data FROM npcs WHERE world_id = ? ORDER BY position'),
+    deleteNpcs: database.prepare('DELETE FROM npcs WHERE world_id = ?'),
+    insertNpc: database.prepare('INSERT INTO npcs (world_id, position, data) VALUES (?, ?, ?)'),
+
+    selectJournal: database.prepare('SELECT data FROM journal WHERE world_id = ? ORDER BY id'),
+    insertJournal: database.prepare('INSERT OR REPLACE INTO journal (world_id, id, data) VALUES (?, ?, ?)'),
+    trimJournal: database.prepare(`
+      DELETE FROM journal WHERE world_id = ? AND id <= (
+        SELECT id FROM journal WHERE world_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+      )
+    `),
+
+    selectAccounts: database.prepare('SELECT data FROM accounts'),
+    upsertAccount: database.prepare(`
+      INSERT INTO accounts (id, data) VALUES (?, ?)
+      ON CONFLICT (id) DO UPDATE SET data = excluded.data
+    `),
+  };
+}
+
+// Run `write` in a transaction after making sure the world row exists
+function writeWorld(worldId, write) {
+  assertWorldId(worldId);
+  const now = Date.now();
+  getDatabase().transaction(() => {
+    statements.ensureWorld.run(worldId, now);
+    write();
+    statements.touchWorld.run(now, worldId);
+  })();
+}
+
+function parseRows(rows, label) {
+  const records = [];
+  rows.forEach(({ data }) => {
+    try {
+      records.push(JSON.parse(data));
+    } catch (error) {
+      console.error(`Skipping unreadable ${label} row:`, error.message);
+    }
+  });
+  return records;
+}
+
+// Copy every JSON world into an empty database, so switching backends keeps the worlds
+async function importJsonWorlds() {
+  if (statements.countWorlds.get().count > 0) {
+    return;
+  }
+  await jsonStore.init();
+  const accounts = await jsonStore.loadAccounts();
+  getDatabase().transaction(() => {
+    accounts.forEach((account) => statements.upsertAccount.run(account.id, JSON.stringify(account)));
+  })();
+  if (accounts.length > 0) {
+    console.log(`Imported ${accounts.length} account(s) from JSON into ${path.basename(DATABASE_FILE)}`);
+  }
+  const worldIds = await jsonStore.listWorlds();
+  for (const worldId of worldIds) {
+    const state = await jsonStore.loadState(worldId);
+    const colliders = await jsonStore.loadColliders(worldId);
+    const objects = await jsonStore.loadObjects(worldId);
+    const journal = await jsonStore.loadJournal(worldId);
+    const npcs = await jsonStore.loadNpcs(worldId);
+    const players = new Map(Object.entries(state?.players || {}));
+    writeWorld(worldId, () => {
+      players.forEach((player, id) => {
+        statements.insertPlayer.run(worldId, id, JSON.stringify(serializePlayer(player)));
+      });
+      colliders.forEach(({ col, row }) => statements.insertCollider.run(worldId, col, row));
+      objects.forEach((object) => statements.upsertObject.run(worldId, object.id, JSON.stringify(object)));
+      journal.forEach((entry) => statements.insertJournal.run(worldId, entry.id, JSON.stringify(entry)));
+      npcs?.forEach((npc, position) => statements.insertNpc.run(worldId, position, JSON.stringify(npc)));
+    });
+    console.log(`Imported world "${worldId}" from JSON files into ${path.basename(DATABASE_FILE)}`);
+  }
+}
+
+export async function init() {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error(
+      'STORAGE_BACKEND=sqlite needs the optional "better-sqlite3" package. '
+      + `Install it with "npm install better-sqlite3" (${error.message})`,
+    );
+  }
+
+  await fs.mkdir(path.dirname(DATABASE_FILE), { recursive: true });
+  db = new Database(DATABASE_FILE);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrateSchema(db);
+  statements = prepareStatements(db);
+  await importJsonWorlds();
+}
+
+// Writes are synchronous transactions, so there is never anything left to flush
+export async function flush() {}
+
+export async function listWorlds() {
+  return statements.listWorlds.all().map(({ id }) => id);
+}
+
+export async function worldExists(worldId) {
+  assertWorldId(worldId);
+  return Boolean(statements.getWorld.get(worldId));
+}
+
+export async function deleteWorld(worldId) {
+  assertWorldId(worldId);
+  statements.deleteWorld.run(worldId);
+}
+
+// Load game state, null when the world has no saved state yet
+export async function loadState(worldId) {
+  assertWorldId(worldId);
+  const world = statements.getWorld.get(worldId);
+  if (!world) {
+    return null;
+  }
+  const players = {};
+  parseRows(statements.selectPlayers.all(worldId), 'player').forEach((player) => {
+    players[player.id] = player;
+  });
+  return {
+    players,
+    lastSaved: world.last_saved,
+  };
+}
+
+export async function saveState(worldId, gameState) {
+  try {
+    writeWorld(worldId, () => {
+      statements.deletePlayers.run(worldId);
+      for (const [id, player] of gameState.players.entries()) {
+        statements.insertPlayer.run(worldId, id, JSON.stringify(serializePlayer(player)));
+      }
+    });
+  } catch (error) {
+    console.error(`Error saving state for world "${worldId}":`, error);
+  }
+}
+
+export async function loadColliders(worldId) {
+  assertWorldId(worldId);
+  return statements.selectColliders.all(worldId);
+}
+
+export async function saveColliders(worldId, colliders) {
+  try {
+    writeWorld(worldId, () => {
+      statements.deleteColliders.run(worldId);
+      (Array.isArray(colliders) ? colliders : []).forEach(({ col, row }) => {
+        statements.insertCollider.run(worldId, col, row);
+      });
+    });
+  } catch (error) {
+    console.error(`Error saving colliders for world "${worldId}":`, error);
+  }
+}
+
+export async function addColliders(worldId, tiles) {
+  try {
+    writeWorld(worldId, () => {
+      tiles.forEach(({ col, row }) => statements.insertCollider.run(worldId, col, row));
+    });
+  } catch (error) {
+    console.error(`Error adding colliders for world "${worldId}":`, error);
+  }
+}
+
+export async function removeColliders(worldId, tiles) {
+  try {
+    writeWorld(worldId, () => {
+      tiles.forEach(({ col, row }) => statements.deleteCollider.run(worldId, col, row));
+    });
+  } catch (error) {
+    console.error(`Error removing colliders for world "${worldId}":`, error);
+  }
+}
+
+export async function loadObjects(worldId) {
+  assertWorldId(worldId);
+  return parseRows(statements.selectObjects.all(worldId), 'object')
+    .map(normalizeObjectData)
+    .filter(Boolean);
+}
+
+export async function saveObjects(worldId, objects) {
+  try {
+    const list = Array.isArray(objects)
+      ? objects
+      : Array.from(objects.values ? objects.values() : []);
+    writeWorld(worldId, () => {
+      statements.deleteObjects.run(worldId);
+      list.forEach((object) => statements.upsertObject.run(worldId, object.id, JSON.stringify(object)));
+    });
+  } catch (error) {
+    console.error(`Error saving display objects for world "${worldId}":`, error);
+  }
+}
+
+export async function saveObject(worldId, object) {
+  try {
+    writeWorld(worldId, () => {
+      statements.upsertObject.run(worldId, object.id, JSON.stringify(object));
+    });
+  } catch (error) {
+    console.error(`Error saving display object for world "${worldId}":`, error);
+  }
+}
+
+export async function removeObject(worldId, objectId) {
+  try {
+    writeWorld(worldId, () => {
+      statements.deleteObject.run(worldId, objectId);
+    });
+  } catch (error) {
+    console.error(`Error removing display object for world "${worldId}":`, error);
+  }
+}
+
+// NPC definitions in the order they were saved, or null when the world has none
+export async function loadNpcs(worldId) {
+  assertWorldId(worldId);
+  const rows = statements.selectNpcs.all(worldId);
+  return rows.length > 0 ? parseRows(rows, 'NPC') : null;
+}
+
+export async function saveNpcs(worldId, npcs) {
+  try {
+    writeWorld(worldId, () => {
+      statements.deleteNpcs.run(worldId);
+      (Array.isArray(npcs) ? npcs : []).forEach((npc, position) => {
+        statements.insertNpc.run(worldId, position, JSON.stringify(npc));
+      });
+    });
+  } catch (error) {
+    console.error(`Error saving NPCs for world "${worldId}":`, error);
+  }
+}
+
+// Edit journal entries, oldest first
+export async function loadJournal(worldId) {
+  assertWorldId(worldId);
+  return parseRows(statements.selectJournal.all(worldId), 'journal');
+}
+
+export async function appendJournal(worldId, entry) {
+  try {
+    writeWorld(worldId, () => {
+      statements.insertJournal.run(worldId, entry.id, JSON.stringify(entry));
+      statements.trimJournal.run(worldId, worldId, MAX_JOURNAL_ENTRIES);
+    });
+  } catch (error) {
+    console.error(`Error appending to the edit journal for world "${worldId}":`, error);
+  }
+}
+
+export async function loadAccounts() {
+  return parseRows(statements.selectAccounts.all(), 'account');
+}
+
+// Failures reach the caller, since a login must not succeed with an unsaved account
+export async function saveAccount(account) {
+  statements.upsertAccount.run(account.id, JSON.stringify(account));
+}